@@ -1,4 +1,298 @@
 module.exports = {
+  // Device matrix for the visual comparison. "descriptor" names a Playwright
+  // device (require("@playwright/test").devices); "viewport" overrides it.
+  // Each device is captured only in the project of its descriptor's default
+  // browser (e.g. "iPhone 13" in webkit, "Pixel 5" in chromium).
+  "devices": [
+    {
+      "name": "Desktop",
+      "descriptor": "Desktop Chrome",
+      "viewport": { "width": 1280, "height": 800 }
+    },
+    { "name": "Tablet", "descriptor": "iPad (gen 7)" },
+    { "name": "iPhone13", "descriptor": "iPhone 13" },
+    { "name": "iPhoneSE", "descriptor": "iPhone SE" },
+    { "name": "Pixel5", "descriptor": "Pixel 5" },
+    { "name": "GalaxyS9", "descriptor": "Galaxy S9+" }
+  ],
+  // Dynamic content masked out of both captures before comparing. Global
+  // "selectors"/"rects" apply to every page; "pages" keys are URL paths where
+  // "*" matches anything. Rects are page coordinates in CSS pixels.
+  "ignore": {
+    "selectors": [
+      "#onetrust-consent-sdk",
+      ".cookie-notice-container",
+      "#hubspot-messages-iframe-container",
+      "iframe[title*='chat' i]",
+      ".grecaptcha-badge"
+    ],
+    "rects": [],
+    "pages": {
+      "*/articles/*": {
+        "selectors": ["time", ".entry-date", ".post-date"]
+      },
+      "/academic-calendar/": {
+        "selectors": [".calendar-dates", "table"]
+      },
+      "/apply/?d=*": {
+        "selectors": ["iframe", ".countdown", ".start-date"]
+      }
+    }
+  },
+  // Capture settings. "concurrency" is the number of URLs captured at once
+  // per device (staging and prod of a URL are always captured together);
+  // CAPTURE_CONCURRENCY overrides it. Before each screenshot the page waits
+  // for network idle, web fonts and decoded images (each capped by its
+  // timeout, in ms) after auto-scrolling to trigger lazy loading, which
+  // stops after "scrollTimeout" ms on pages that keep growing.
+  // "waitForSelectors" maps URL patterns ("*" matches anything) to an
+  // element that must be visible before the capture.
+  "capture": {
+    "concurrency": 4,
+    "networkIdleTimeout": 10000,
+    "fontTimeout": 5000,
+    "imageTimeout": 10000,
+    "scrollStepDelay": 100,
+    "scrollTimeout": 30000,
+    "selectorTimeout": 15000,
+    "waitForSelectors": {
+      "/apply/?d=*": "form",
+      "/academic-calendar/": "main"
+    }
+  },
+  // HTTP settings shared by the browser contexts and every link, image and
+  // discovery request. "headers" are sent with every request. "auth" holds
+  // basic-auth credentials for one environment's origin (e.g. a
+  // password-protected staging site); HTTP_AUTH_USER and HTTP_AUTH_PASSWORD
+  // override its username and password. Link and image requests that fail
+  // with a network error or one of "retryStatuses" are retried "retries"
+  // times, waiting "retryDelay" ms before the first retry and twice as long
+  // before each next one.
+  "http": {
+    "headers": {},
+    "auth": { "environment": "staging", "username": null, "password": null },
+    "retries": 2,
+    "retryDelay": 1000,
+    "retryStatuses": [429, 502, 503, 504]
+  },
+  // Link check of every staging page: anchors, stylesheets, scripts, srcset
+  // candidates, CSS background images and iframes. Each URL is checked once
+  // per run (HEAD, then GET if HEAD is refused) following up to
+  // "maxRedirects" redirects. "skip" lists URL patterns ("*" matches anything).
+  "linkCheck": {
+    "concurrency": 8,
+    "timeout": 15000,
+    "maxRedirects": 5,
+    "skip": [
+      "*bat.bing.com*",
+      "*tracking*",
+      "*/cdn-cgi/l/email-protection*",
+      "*linkedin.com*",
+      "*facebook.com/sharer*",
+      "*twitter.com/intent*"
+    ]
+  },
+  // Broken-image check of every staging page. Each image is downloaded once
+  // per run and must answer 2xx with a non-empty image/* body within
+  // "timeout" ms, and must decode in the browser within "loadTimeout" ms.
+  // "skip" lists URL patterns ("*" matches anything) such as tracking pixels.
+  "imageCheck": {
+    "concurrency": 8,
+    "timeout": 15000,
+    "loadTimeout": 10000,
+    "skip": ["*bat.bing.com*", "*tracking*"]
+  },
+  // Accessibility audit (axe-core) run on every page while it is captured
+  // for the listed devices. "tags" selects the WCAG rule sets; rules in
+  // "disabledRules" are never reported. Staging violations are compared
+  // with prod (or the baseline) per rule in the report.
+  "accessibility": {
+    "enabled": true,
+    "devices": ["Desktop"],
+    "tags": ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+    "disabledRules": []
+  },
+  // SEO metadata compared between staging and prod on every capture.
+  // Staging pages are flagged when they carry a noindex directive
+  // ("flagNoindex") or a canonical URL on a host not in "canonicalHosts".
+  "seo": {
+    "canonicalHosts": ["online.emporia.edu"],
+    "flagNoindex": true
+  },
+  // End-of-run email (scripts/notify.js, run after every test run) with the
+  // pass/fail/error counts, the worst pages with diff thumbnails and the
+  // device reports attached. "onlyOnFailure" skips it when everything
+  // passed. SMTP_USER and SMTP_PASSWORD supply the SMTP login; point "smtp"
+  // at a local stand-in (e.g. MailHog on port 1025) to try it out.
+  "email": {
+    "enabled": false,
+    "onlyOnFailure": true,
+    "from": "Visual Comparison <visual-tests@localhost>",
+    "to": [],
+    "subjectPrefix": "[Visual Comparison]",
+    "smtp": { "host": "localhost", "port": 1025, "secure": false },
+    "worstPages": 5,
+    "thumbnailWidth": 300,
+    "attachReports": true,
+    "maxAttachmentMb": 10
+  },
+  // End-of-run webhooks (scripts/notify.js) posting the run summary, the
+  // failing pages and links to the reports. Each endpoint picks a payload
+  // "template": "slack" (Block Kit), "teams" (MessageCard) or "json".
+  // "reportBaseUrl" is where the HTML reports are published, if anywhere.
+  // Failed posts are retried per "retry". With "dryRun" (or --dry-run /
+  // WEBHOOK_DRY_RUN=1) payloads are written to "dryRunDir" instead.
+  "webhooks": {
+    "enabled": false,
+    "onlyOnFailure": true,
+    "endpoints": [],
+    "reportBaseUrl": null,
+    "maxRegressions": 10,
+    "dryRun": false,
+    "dryRunDir": "notifications",
+    "timeout": 10000,
+    "retry": {
+      "retries": 3,
+      "retryDelay": 1000,
+      "retryStatuses": [429, 500, 502, 503, 504]
+    }
+  },
+  // HTML report. "images": "inline" embeds every screenshot as Base64 (one
+  // self-contained file, slow to open for large runs); "linked" references
+  // the screenshot files and shows lazily loaded JPEG thumbnails written to
+  // "thumbnailDir", so keep those next to the report when publishing it.
+  // REPORT_IMAGES=linked|inline overrides it.
+  "report": {
+    "images": "inline",
+    "thumbnailDir": "thumbnails",
+    "thumbnailWidth": 350
+  },
+  // Review decisions. Each report row can be accepted as expected or
+  // flagged as a bug, with a note; "Export decisions" downloads them as
+  // decisions_<device>.json, to be saved into "dir". The next run passes
+  // accepted pages until their diff changes again and lists flagged bugs.
+  "decisions": {
+    "enabled": true,
+    "dir": "decisions"
+  },
+  // Run history: every run's results JSON (and, with "copyImages", its
+  // screenshots and diffs) is stored under "dir"/<run ID>, keeping the
+  // newest "keepRuns" runs. "dir"/index.html charts per-page similarity over
+  // time and lists newly failing pages and flaky ones (at least
+  // "flakyFlips" status changes within the last "flakyWindow" runs).
+  // RUN_ID overrides the generated run ID.
+  "history": {
+    "enabled": true,
+    "dir": "history",
+    "keepRuns": 20,
+    "copyImages": true,
+    "flakyWindow": 10,
+    "flakyFlips": 2
+  },
+  // Navigation menus checked on staging and prod. Each item is opened by
+  // clicking "trigger" and must show "submenu" with at least one link
+  // ("linkSelector"); every link must resolve and both environments must
+  // list the same links in the same order. "links" optionally pins expected
+  // entries as { "label", "href" } with site-relative hrefs. "mobile" opens
+  // the hamburger menu ("toggle") on a phone-sized Playwright device and
+  // expects "menu" and every item trigger to become visible.
+  "menus": {
+    "page": "/",
+    "linkSelector": "a.mega-menu-link",
+    "items": [
+      {
+        "name": "Online Programs",
+        "trigger": "li#mega-menu-item-242 > a.mega-menu-link",
+        "submenu": "li#mega-menu-item-242 > ul.mega-sub-menu",
+        "links": []
+      },
+      {
+        "name": "Getting Started",
+        "trigger": "li#mega-menu-item-243 > a.mega-menu-link",
+        "submenu": "li#mega-menu-item-243 > ul.mega-sub-menu",
+        "links": []
+      }
+    ],
+    "mobile": {
+      "descriptor": "iPhone 13",
+      "toggle": ".mega-menu-toggle",
+      "menu": "ul.max-mega-menu"
+    }
+  },
+  // Apply form smoke tests (tests/applyForm.spec.js), run for every page
+  // matching "pages" on staging and prod. The program code is read from the
+  // "codeParam" query parameter and must be preselected in "programField"
+  // (by value or label; "programs" maps a code to a different expected
+  // value or label). Set "frame" when the form is embedded in an iframe.
+  // Submissions are always intercepted and never reach a backend.
+  "applyForm": {
+    "pages": "/apply/?d=*",
+    "codeParam": "d",
+    "frame": null,
+    "form": "form",
+    "programField": "select[name*='program' i]",
+    "programs": {},
+    "submit": "[type='submit']",
+    "errorSelector": ".error, [aria-invalid='true']",
+    "timeout": 15000
+  },
+  // Pass/fail thresholds. Global values apply everywhere; "devices" entries
+  // override them per device name and "pages" entries per URL pattern ("*"
+  // matches anything), with later page patterns winning. "pixelmatch" is the
+  // colour sensitivity (0 to 1), "includeAA" counts anti-aliased pixels as
+  // changes and "maxRegionArea" fails any changed region larger than that many
+  // CSS px² (null for no limit).
+  "thresholds": {
+    "similarity": 95,
+    "pixelmatch": 0.1,
+    "includeAA": false,
+    "maxRegionArea": null,
+    "devices": {
+      "iPhoneSE": { "similarity": 93 },
+      "GalaxyS9": { "similarity": 93 }
+    },
+    "pages": {
+      "*/articles/*": { "similarity": 90 },
+      "/academic-calendar/": { "similarity": 92 },
+      "/apply/?d=*": { "maxRegionArea": 250000 }
+    }
+  },
+  // Approved golden images (see scripts/updateBaselines.js). "mode" is
+  // "live" (staging vs prod) or "baseline"; COMPARE_MODE overrides it and
+  // BASELINE_ENVS overrides which environments are checked against it.
+  "baselines": {
+    "dir": "baselines",
+    "mode": "live",
+    "environments": ["staging"]
+  },
+  // URL discovery (scripts/discoverUrls.js). Pages come from the listed
+  // sitemaps (indexes are followed) and a same-origin crawl from the home
+  // page down to "maxDepth" links. "include"/"exclude" are URL patterns
+  // where "*" matches anything.
+  "discovery": {
+    "sitemaps": ["/sitemap.xml", "/sitemap_index.xml"],
+    "crawl": true,
+    "maxDepth": 2,
+    "maxPages": 500,
+    "timeout": 30000,
+    "include": ["/*"],
+    "exclude": [
+      "/wp-admin/*",
+      "/wp-json/*",
+      "/cdn-cgi/*",
+      "/feed/*",
+      "*/feed/",
+      "*.aspx",
+      "*.pdf",
+      "*.jpg",
+      "*.png",
+      "*?s=*"
+    ]
+  },
+  // Staging path -> prod path for pages whose URL differs between the two
+  // sites, e.g. "/degrees/business/masters-accounting/": "/programs/macc.aspx".
+  // Pages listed for only one environment are reported, not compared.
+  "urlMappings": {},
   "staging": {
     "baseUrl": "https://live-web-emporia.pantheonsite.io",
     "urls": [
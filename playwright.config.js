@@ -20,6 +20,10 @@ module.exports = defineConfig({
   retries: process.env.CI ? 2 : 0,
   /* Opt out of parallel tests on CI. */
   workers: process.env.CI ? 1 : undefined,
+  /* Share one run ID between workers for the run history (config.js "history") */
+  globalSetup: require.resolve('./scripts/startRun.js'),
+  /* Send the run summary once all tests are done (config.js "email", "webhooks") */
+  globalTeardown: require.resolve('./scripts/notify.js'),
   /* Reporter to use. Dynamically adjust output folder based on REPORT_NAME */
   reporter: process.env.REPORT_NAME
     ? [['html', { outputFolder: `test-results/${process.env.REPORT_NAME}` }]]
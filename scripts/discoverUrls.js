@@ -0,0 +1,88 @@
+// Discover the pages of staging and prod from their sitemaps and a
+// same-origin crawl, and diff the two sets.
+//
+// Usage:
+//   node scripts/discoverUrls.js [--no-sitemap] [--no-crawl] [--depth 2]
+//     [--output discovered_urls.json] [--write-config]
+//
+// Settings come from the "discovery" section of config.js. The result is
+// written to --output; --write-config also replaces the staging and prod
+// "urls" lists in config.js with the discovered pages.
+const fs = require("fs");
+const path = require("path");
+const { request } = require("@playwright/test");
+const config = require("../config.js");
+const { parseArgs } = require("../utils/cli.js");
+const { getContextHttpOptions } = require("../utils/httpPolicy.js");
+const {
+  discoverEnvironment,
+  diffDiscovered,
+  writeUrlsToConfig,
+} = require("../utils/discovery.js");
+
+(async () => {
+  const chalk = (await import("chalk")).default;
+  const args = parseArgs(process.argv.slice(2));
+  const options = { ...config.discovery };
+  if (args["no-sitemap"]) options.sitemaps = [];
+  if (args["no-crawl"]) options.crawl = false;
+  if (args.depth) options.maxDepth = Number(args.depth);
+  const outputPath = args.output || "discovered_urls.json";
+
+  const api = await request.newContext({
+    ignoreHTTPSErrors: true,
+    ...getContextHttpOptions(config),
+  });
+  const discovered = {};
+  try {
+    for (const environment of ["staging", "prod"]) {
+      const { baseUrl } = config[environment];
+      console.log(chalk.blue(`Discovering pages on ${baseUrl}...`));
+      discovered[environment] = await discoverEnvironment(
+        api,
+        baseUrl,
+        options
+      );
+      console.log(
+        chalk.green(
+          `✅ Found ${discovered[environment].paths.length} pages on ${environment}`
+        )
+      );
+    }
+  } finally {
+    await api.dispose();
+  }
+
+  const diff = diffDiscovered(discovered.staging.paths, discovered.prod.paths);
+  diff.stagingOnly.forEach((pagePath) => {
+    console.log(chalk.yellow(`Only on staging: ${pagePath}`));
+  });
+  diff.prodOnly.forEach((pagePath) => {
+    console.log(chalk.yellow(`Only on prod: ${pagePath}`));
+  });
+
+  fs.writeFileSync(
+    outputPath,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        options,
+        staging: discovered.staging,
+        prod: discovered.prod,
+        ...diff,
+      },
+      null,
+      2
+    )
+  );
+  console.log(chalk.green(`✅ Discovery results written to ${outputPath}`));
+
+  if (args["write-config"]) {
+    writeUrlsToConfig(path.join(__dirname, "..", "config.js"), {
+      stagingPaths: discovered.staging.paths,
+      prodPaths: discovered.prod.paths,
+      prodBaseUrl: config.prod.baseUrl,
+    });
+    console.log(chalk.green("✅ config.js URL lists regenerated"));
+  }
+})();
@@ -0,0 +1,87 @@
+// Inspect the stored run history (config.js "history").
+//
+// Usage:
+//   node scripts/history.js [--list] [--from <run ID>] [--to <run ID>]
+//
+// Without arguments the trend dashboard (history/index.html) is rebuilt.
+// --list prints the stored run IDs. --from/--to print the pages that
+// changed between two runs; --to defaults to the latest run and --from to
+// the one before it.
+const config = require("../config.js");
+const { parseArgs } = require("../utils/cli.js");
+const {
+  DEFAULT_HISTORY,
+  loadRuns,
+  diffRuns,
+} = require("../utils/runHistory.js");
+const { generateHistoryDashboard } = require("../utils/historyDashboard.js");
+
+function formatPage(page) {
+  if (!page) return "absent";
+  return page.similarity !== null
+    ? `${page.status} ${page.similarity.toFixed(2)}%`
+    : page.status;
+}
+
+(async () => {
+  const chalk = (await import("chalk")).default;
+  const args = parseArgs(process.argv.slice(2));
+  const settings = { ...DEFAULT_HISTORY, ...config.history };
+  const runs = loadRuns(settings);
+
+  if (!runs.length) {
+    console.log(chalk.yellow(`No runs stored in ${settings.dir}/ yet.`));
+    return;
+  }
+
+  if (args.list) {
+    runs.forEach((run) => {
+      const devices = Object.entries(run.devices)
+        .map(
+          ([device, summary]) =>
+            `${device} ${summary.passed}/${summary.total} passed`
+        )
+        .join(", ");
+      console.log(`${run.runId}  ${devices}`);
+    });
+    return;
+  }
+
+  if (args.from || args.to) {
+    const findRun = (runId) => runs.find((run) => run.runId === runId);
+    const toRun = args.to ? findRun(args.to) : runs[runs.length - 1];
+    const fromRun = args.from
+      ? findRun(args.from)
+      : runs[runs.indexOf(toRun) - 1];
+    if (!fromRun || !toRun) {
+      console.error(
+        chalk.red(
+          `Unknown run ID; stored runs: ${runs
+            .map((run) => run.runId)
+            .join(", ")}`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const changes = diffRuns(fromRun, toRun);
+    console.log(
+      chalk.blue(
+        `${changes.length} page(s) changed from ${fromRun.runId} to ${toRun.runId}`
+      )
+    );
+    changes.forEach(({ key, from, to }) => {
+      const color = to && to.status === "Pass" ? chalk.green : chalk.red;
+      console.log(color(`  ${key}: ${formatPage(from)} → ${formatPage(to)}`));
+    });
+    return;
+  }
+
+  const reportPath = generateHistoryDashboard(settings);
+  console.log(
+    chalk.green(
+      `✅ Dashboard of ${runs.length} run(s) written to ${reportPath}`
+    )
+  );
+})();
@@ -0,0 +1,98 @@
+// Send the end-of-run notifications for the last visual comparison run.
+//
+// Usage:
+//   node scripts/notify.js [--dry-run]
+//
+// Also runs as Playwright's globalTeardown (see playwright.config.js), so
+// every test run ends with it; there only results written during that run
+// count. Channels are configured in config.js ("email", "webhooks") and
+// skipped while disabled. --dry-run (or WEBHOOK_DRY_RUN=1) writes webhook
+// payloads to disk instead of posting them.
+const { request } = require("@playwright/test");
+const config = require("../config.js");
+const { parseArgs } = require("../utils/cli.js");
+const { collectRunSummary } = require("../utils/runSummary.js");
+const {
+  getEmailSettings,
+  shouldSendEmail,
+  sendRunEmail,
+} = require("../utils/emailNotifier.js");
+const {
+  DEFAULT_WEBHOOKS,
+  shouldSendWebhooks,
+  sendWebhooks,
+} = require("../utils/webhookNotifier.js");
+
+async function notifyRun({ since = null, dryRun = false } = {}) {
+  const chalk = (await import("chalk")).default;
+  const email = getEmailSettings(config);
+  const webhooks = { ...DEFAULT_WEBHOOKS, ...config.webhooks };
+  if (dryRun || process.env.WEBHOOK_DRY_RUN) webhooks.dryRun = true;
+
+  const runSummary = collectRunSummary(
+    config.devices.map((device) => device.name),
+    { worstCount: email.worstPages, since }
+  );
+
+  if (!shouldSendEmail(runSummary, email)) {
+    console.log(
+      chalk.blue(
+        "Email notification skipped (disabled, no recipients, no results or nothing failed)."
+      )
+    );
+  } else {
+    try {
+      const info = await sendRunEmail(runSummary, email);
+      console.log(
+        chalk.green(
+          `✅ Run summary emailed to ${email.to.join(", ")} (${info.messageId})`
+        )
+      );
+    } catch (error) {
+      console.error(
+        chalk.red(`Failed to email the run summary: ${error.message}`)
+      );
+    }
+  }
+
+  if (!shouldSendWebhooks(runSummary, webhooks)) {
+    console.log(
+      chalk.blue(
+        "Webhook notification skipped (disabled, no endpoints, no results or nothing failed)."
+      )
+    );
+    return;
+  }
+
+  const api = await request.newContext();
+  try {
+    const outcomes = await sendWebhooks(api, runSummary, webhooks);
+    outcomes.forEach((outcome) => {
+      if (outcome.dryRun) {
+        console.log(
+          chalk.yellow(
+            `Dry run: ${outcome.name} payload written to ${outcome.outputPath}`
+          )
+        );
+      } else if (outcome.ok) {
+        console.log(chalk.green(`✅ Webhook ${outcome.name} notified`));
+      } else {
+        console.error(
+          chalk.red(`Webhook ${outcome.name} failed: ${outcome.error}`)
+        );
+      }
+    });
+  } finally {
+    await api.dispose();
+  }
+}
+
+// globalTeardown entry point: only results written since this test run
+// (the current process) started are reported
+module.exports = () =>
+  notifyRun({ since: new Date(Date.now() - process.uptime() * 1000) });
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  notifyRun({ dryRun: Boolean(args["dry-run"]) });
+}
@@ -0,0 +1,8 @@
+// Playwright globalSetup (see playwright.config.js): give the test run one
+// ID shared by every worker, so all devices of a run are stored together
+// in the run history (config.js "history"). A preset RUN_ID is kept.
+const { createRunId } = require("../utils/runHistory.js");
+
+module.exports = () => {
+  if (!process.env.RUN_ID) process.env.RUN_ID = createRunId();
+};
@@ -0,0 +1,76 @@
+// Approve captured screenshots as the golden baseline set.
+//
+// Usage:
+//   node scripts/updateBaselines.js --update-baselines [--device Desktop]
+//     [--env staging|prod] [--pages "/about/,/apply/"] [--note "text"]
+//
+// Without --device every device from config.js is approved; without --pages
+// every page of the last run is. Each call creates a new baseline version.
+const config = require("../config.js");
+const { approveBaselines } = require("../utils/baselines.js");
+const { parseArgs } = require("../utils/cli.js");
+const { toPagePath, buildUrlMap } = require("../utils/urlMapping.js");
+
+(async () => {
+  const chalk = (await import("chalk")).default;
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args["update-baselines"]) {
+    console.log(
+      chalk.yellow(
+        "Nothing to do: pass --update-baselines to approve captures."
+      )
+    );
+    return;
+  }
+
+  const environment = args.env || "staging";
+  const deviceNames = args.device
+    ? [args.device]
+    : config.devices.map((device) => device.name);
+  // Same normalized paths the captures are stored under
+  const knownHosts = [config.staging.baseUrl, config.prod.baseUrl].map(
+    (baseUrl) => new URL(baseUrl).host
+  );
+  const pagePaths = args.pages
+    ? args.pages
+        .split(",")
+        .filter((entry) => entry.trim())
+        .map((entry) => {
+          const pagePath = toPagePath(entry, knownHosts);
+          if (pagePath === null) {
+            console.log(
+              chalk.yellow(
+                `⚠️ ${entry.trim()} is not on staging or prod, skipped`
+              )
+            );
+          }
+          return pagePath;
+        })
+        .filter((pagePath) => pagePath !== null)
+    : buildUrlMap(config).pairs.map((pair) => pair.pagePath);
+
+  deviceNames.forEach((deviceName) => {
+    const { version, approved, missing } = approveBaselines(config.baselines, {
+      deviceName,
+      environment,
+      pagePaths,
+      note: args.note || "",
+    });
+
+    if (approved.length) {
+      console.log(
+        chalk.green(
+          `✅ ${deviceName}: approved ${approved.length} ${environment} page(s) as baseline v${version}`
+        )
+      );
+    }
+    missing.forEach((pagePath) => {
+      console.log(
+        chalk.yellow(
+          `⚠️ ${deviceName}: no ${environment} capture for ${pagePath}, skipped`
+        )
+      );
+    });
+  });
+})();
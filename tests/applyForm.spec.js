@@ -0,0 +1,133 @@
+const { test, expect } = require("@playwright/test");
+const config = require("../config.js");
+const { buildUrlMap } = require("../utils/urlMapping.js");
+const { getContextHttpOptions } = require("../utils/httpPolicy.js");
+const {
+  DEFAULT_APPLY_FORM,
+  getProgramPages,
+  blockSubmissions,
+  getFormRoot,
+  readFormFields,
+  readProgramSelection,
+  isProgramPreselected,
+  findUnflaggedRequiredFields,
+  compareFormFields,
+} = require("../utils/applyForm.js");
+
+let chalk;
+
+// Dynamically load `chalk`
+(async () => {
+  chalk = (await import("chalk")).default;
+})();
+
+const applyForm = { ...DEFAULT_APPLY_FORM, ...config.applyForm };
+const programPages = getProgramPages(buildUrlMap(config), applyForm);
+
+// Load an apply page and check the form on it: program preselection and
+// validation of an empty submit. `submissions` is the blockSubmissions()
+// guard, locked once the form has loaded. Returns the field list for the
+// staging/prod comparison, or null if the form is missing.
+async function checkApplyForm(page, url, code, environment, submissions) {
+  console.log(chalk.blue(`Navigating to ${environment}: ${url}`));
+  submissions.unlock();
+  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+
+  const form = getFormRoot(page, applyForm).locator(applyForm.form).first();
+  await expect
+    .soft(form, `Apply form loads on ${environment}`)
+    .toBeVisible({ timeout: applyForm.timeout });
+  if (!(await form.isVisible())) return null;
+  submissions.lock(await form.evaluate((element) => element.action || null));
+
+  const fields = await readFormFields(form);
+  console.log(chalk.green(`✅ Form with ${fields.length} fields found`));
+
+  const selection = await readProgramSelection(form, applyForm.programField);
+  expect
+    .soft(
+      isProgramPreselected(selection, code, applyForm.programs),
+      `Program ${code} preselected on ${environment} (found ${
+        selection ? `"${selection.label}" / "${selection.value}"` : "no field"
+      })`
+    )
+    .toBe(true);
+
+  expect
+    .soft(
+      fields.filter((field) => field.required).length,
+      `Required fields on ${environment}`
+    )
+    .toBeGreaterThan(0);
+
+  // Submit the untouched form; every empty required field must complain
+  const submit = form.locator(applyForm.submit).first();
+  await expect
+    .soft(submit, `Submit button on ${environment}`)
+    .toBeVisible({ timeout: applyForm.timeout });
+  if (await submit.isVisible()) {
+    await submit.click();
+    // Scripted validation renders its messages after the submit event
+    await expect
+      .configure({ soft: true })
+      .poll(() => findUnflaggedRequiredFields(form, applyForm.errorSelector), {
+        message: `Required fields without a validation message on ${environment}`,
+        timeout: applyForm.timeout,
+      })
+      .toEqual([]);
+  }
+
+  return fields;
+}
+
+test.describe("Apply Form Smoke Tests", () => {
+  test.use(getContextHttpOptions(config));
+
+  for (const { code, pair } of programPages) {
+    test(`Apply form for ${code} on staging and prod`, async ({
+      page,
+      browserName,
+    }) => {
+      // Loads real prod apply pages: once per run is enough
+      test.skip(
+        browserName !== "chromium",
+        "Apply forms are checked in chromium"
+      );
+      // Nothing this test submits may ever reach a real backend
+      const submissions = await blockSubmissions(page);
+
+      const stagingFields = await checkApplyForm(
+        page,
+        pair.stagingUrl,
+        code,
+        "staging",
+        submissions
+      );
+      const prodFields = await checkApplyForm(
+        page,
+        pair.prodUrl,
+        code,
+        "prod",
+        submissions
+      );
+
+      if (stagingFields && prodFields) {
+        const differences = compareFormFields(stagingFields, prodFields);
+        differences.forEach((difference) => {
+          console.log(chalk.yellow(`${code}: ${difference}`));
+        });
+        expect
+          .soft(differences, `Apply form fields of ${code} differ`)
+          .toEqual([]);
+      }
+
+      if (submissions.intercepted.length) {
+        console.log(
+          chalk.yellow(
+            `Intercepted ${submissions.intercepted.length} submission(s)`
+          )
+        );
+      }
+    });
+  }
+});
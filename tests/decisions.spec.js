@@ -0,0 +1,187 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PNG } = require("pngjs");
+const {
+  getDecisionKey,
+  getFingerprint,
+  loadDecisions,
+  applyDecisions,
+} = require("../utils/decisions.js");
+
+// Pure helpers: one project is enough
+test.skip(({ browserName }) => browserName !== "chromium", "Runs in chromium");
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "decisions-"));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write a 4x4 PNG filled with one grey level, standing in for a diff image
+function writeDiff(name, grey) {
+  const png = new PNG({ width: 4, height: 4 });
+  png.data.fill(grey);
+  const diffPath = path.join(dir, name);
+  fs.writeFileSync(diffPath, PNG.sync.write(png));
+  return diffPath;
+}
+
+// Comparison result scoring `similarityPercentage`, with a diff image
+function makeResult(pagePath, similarityPercentage, diffPath) {
+  return {
+    pagePath,
+    similarityPercentage,
+    thresholds: { similarity: 95 },
+    images: diffPath ? [{ label: "Diff", path: diffPath }] : [],
+  };
+}
+
+// Write a decisions file as exported from a report
+function writeDecisions(file, decisions) {
+  fs.writeFileSync(path.join(dir, file), JSON.stringify({ decisions }));
+}
+
+test.describe("loadDecisions", () => {
+  test("returns nothing without a decisions directory", () => {
+    expect(loadDecisions({ dir: path.join(dir, "missing") })).toEqual({});
+  });
+
+  test("keeps the most recent decision of a page", () => {
+    writeDecisions("b.json", {
+      "Desktop /": { decision: "bug", decidedAt: "2026-01-01T00:00:00Z" },
+      "Desktop /about/": {
+        decision: "accepted",
+        decidedAt: "2026-01-03T00:00:00Z",
+      },
+    });
+    writeDecisions("a.json", {
+      "Desktop /": { decision: "accepted", decidedAt: "2026-01-02T00:00:00Z" },
+      "Desktop /about/": {
+        decision: "bug",
+        decidedAt: "2026-01-02T00:00:00Z",
+      },
+    });
+
+    const decisions = loadDecisions({ dir });
+    expect(decisions["Desktop /"]).toMatchObject({
+      decision: "accepted",
+      source: "a.json",
+    });
+    expect(decisions["Desktop /about/"]).toMatchObject({
+      decision: "accepted",
+      source: "b.json",
+    });
+  });
+
+  test("clears a page with a newer undecided entry", () => {
+    writeDecisions("a.json", {
+      "Desktop /": { decision: "bug", decidedAt: "2026-01-01T00:00:00Z" },
+    });
+    writeDecisions("b.json", {
+      "Desktop /": { decision: "", decidedAt: "2026-01-02T00:00:00Z" },
+    });
+
+    expect(loadDecisions({ dir })).toEqual({});
+  });
+
+  test("ignores unknown decision types and other files", () => {
+    writeDecisions("a.json", {
+      "Desktop /": { decision: "maybe", decidedAt: "2026-01-01T00:00:00Z" },
+    });
+    fs.writeFileSync(path.join(dir, "notes.txt"), "not json");
+
+    expect(loadDecisions({ dir })).toEqual({});
+  });
+
+  test("names the file that cannot be parsed", () => {
+    fs.writeFileSync(path.join(dir, "broken.json"), "{");
+
+    expect(() => loadDecisions({ dir })).toThrow(
+      `Invalid decisions file ${path.join(dir, "broken.json")}`
+    );
+  });
+});
+
+test.describe("applyDecisions", () => {
+  test("passes failures accepted with the current diff", () => {
+    const result = makeResult("/", 90, writeDiff("diff.png", 128));
+    const key = getDecisionKey("Desktop", result);
+    const decisions = {
+      [key]: { decision: "accepted", fingerprint: getFingerprint(result) },
+    };
+
+    const { accepted, expired } = applyDecisions(
+      [result],
+      "Desktop",
+      decisions
+    );
+
+    expect(key).toBe("Desktop /");
+    expect(accepted).toEqual([result]);
+    expect(expired).toEqual([]);
+    expect(result.accepted).toBe(true);
+    expect(result.decision.current).toBe(true);
+  });
+
+  test("lets an acceptance lapse once the diff changes", () => {
+    const accepted = makeResult("/", 90, writeDiff("before.png", 128));
+    const fingerprint = getFingerprint(accepted);
+    const result = makeResult("/", 90, writeDiff("after.png", 64));
+    const decisions = { "Desktop /": { decision: "accepted", fingerprint } };
+
+    const outcome = applyDecisions([result], "Desktop", decisions);
+
+    expect(result.fingerprint).not.toBe(fingerprint);
+    expect(outcome.accepted).toEqual([]);
+    expect(outcome.expired).toEqual([result]);
+    expect(result.accepted).toBeUndefined();
+    expect(result.decision.current).toBe(false);
+  });
+
+  test("leaves passing and erroring pages alone", () => {
+    const passing = makeResult("/", 99, writeDiff("diff.png", 128));
+    const erroring = { pagePath: "/about/", error: "Timeout", images: [] };
+    const decisions = {
+      "Desktop /": {
+        decision: "accepted",
+        fingerprint: getFingerprint(passing),
+      },
+      "Desktop /about/": { decision: "accepted", fingerprint: null },
+    };
+
+    const outcome = applyDecisions([passing, erroring], "Desktop", decisions);
+
+    expect(outcome.accepted).toEqual([]);
+    expect(outcome.expired).toEqual([]);
+    expect(erroring.fingerprint).toBe(null);
+    expect(erroring.decision.current).toBe(false);
+  });
+
+  test("lists the bugs flagged for the device", () => {
+    const result = makeResult("/", 90, writeDiff("diff.png", 128));
+    const decisions = {
+      "Desktop /": { decision: "bug", note: "Hero overlaps" },
+      "Desktop /gone/": { decision: "bug", note: "Removed page" },
+      "iPhoneSE /": { decision: "bug", note: "Menu missing" },
+      "Desktop Wide /": { decision: "bug", note: "Other device" },
+    };
+
+    const { bugs } = applyDecisions([result], "Desktop", decisions);
+
+    expect(bugs).toEqual([
+      { key: "Desktop /", decision: "bug", note: "Hero overlaps", result },
+      {
+        key: "Desktop /gone/",
+        decision: "bug",
+        note: "Removed page",
+        result: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+const { test, expect } = require("@playwright/test");
+const {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  getResultStatus,
+  formatThresholds,
+} = require("../utils/thresholds.js");
+
+// Pure helpers: one project is enough
+test.skip(({ browserName }) => browserName !== "chromium", "Runs in chromium");
+
+const thresholdConfig = {
+  similarity: 95,
+  pixelmatch: 0.2,
+  devices: {
+    iPhoneSE: { similarity: 93 },
+  },
+  pages: {
+    "*/articles/*": { similarity: 90 },
+    "/articles/special/": { similarity: 85, includeAA: true },
+    "/apply/?d=*": { maxRegionArea: 250000 },
+  },
+};
+
+// Comparison result with one changed region of the given size
+function makeResult(similarityPercentage, thresholds, region = [0, 0]) {
+  const [width, height] = region;
+  return {
+    similarityPercentage,
+    thresholds,
+    regions: [{ page: { x: 0, y: 0, width, height } }],
+  };
+}
+
+test.describe("getThresholds", () => {
+  test("falls back to the defaults", () => {
+    expect(getThresholds(undefined, "Desktop", "/")).toEqual(
+      DEFAULT_THRESHOLDS
+    );
+  });
+
+  test("applies the global values", () => {
+    expect(getThresholds(thresholdConfig, "Desktop", "/")).toEqual({
+      ...DEFAULT_THRESHOLDS,
+      similarity: 95,
+      pixelmatch: 0.2,
+    });
+  });
+
+  test("overrides the globals per device", () => {
+    const thresholds = getThresholds(thresholdConfig, "iPhoneSE", "/");
+    expect(thresholds.similarity).toBe(93);
+    expect(thresholds.pixelmatch).toBe(0.2);
+  });
+
+  test("overrides the device per page pattern", () => {
+    const thresholds = getThresholds(
+      thresholdConfig,
+      "iPhoneSE",
+      "/news/articles/launch/"
+    );
+    expect(thresholds.similarity).toBe(90);
+    expect(thresholds.includeAA).toBe(false);
+  });
+
+  test("lets the last matching pattern win", () => {
+    const thresholds = getThresholds(
+      thresholdConfig,
+      "Desktop",
+      "/articles/special/"
+    );
+    expect(thresholds.similarity).toBe(85);
+    expect(thresholds.includeAA).toBe(true);
+  });
+
+  test("matches query strings literally around the wildcard", () => {
+    expect(
+      getThresholds(thresholdConfig, "Desktop", "/apply/?d=EMPORIA-M-MBA")
+        .maxRegionArea
+    ).toBe(250000);
+    expect(
+      getThresholds(thresholdConfig, "Desktop", "/apply/").maxRegionArea
+    ).toBe(null);
+  });
+});
+
+test.describe("getResultStatus", () => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, maxRegionArea: 10000 };
+
+  test("reports results without a score as errors", () => {
+    expect(getResultStatus({ error: "Timeout" })).toBe("Error");
+    expect(
+      getResultStatus({ similarityPercentage: null, accepted: true })
+    ).toBe("Error");
+  });
+
+  test("fails results below the similarity threshold", () => {
+    expect(getResultStatus(makeResult(94.9, thresholds))).toBe("Fail");
+    expect(getResultStatus(makeResult(95, thresholds))).toBe("Pass");
+    expect(getResultStatus({ similarityPercentage: 94.9 })).toBe("Fail");
+  });
+
+  test("fails results with a changed region above maxRegionArea", () => {
+    expect(getResultStatus(makeResult(99, thresholds, [100, 100]))).toBe(
+      "Pass"
+    );
+    expect(getResultStatus(makeResult(99, thresholds, [100, 101]))).toBe(
+      "Fail"
+    );
+    expect(
+      getResultStatus(makeResult(99, DEFAULT_THRESHOLDS, [1000, 1000]))
+    ).toBe("Pass");
+  });
+
+  test("passes accepted differences", () => {
+    const result = makeResult(80, thresholds, [500, 500]);
+    expect(getResultStatus(result)).toBe("Fail");
+    result.accepted = true;
+    expect(getResultStatus(result)).toBe("Pass");
+  });
+});
+
+test.describe("formatThresholds", () => {
+  test("lists the thresholds that apply", () => {
+    expect(formatThresholds(DEFAULT_THRESHOLDS)).toBe("≥ 95%, sensitivity 0.1");
+    expect(
+      formatThresholds({
+        ...DEFAULT_THRESHOLDS,
+        includeAA: true,
+        maxRegionArea: 250000,
+      })
+    ).toBe(
+      `≥ 95%, sensitivity 0.1, anti-aliasing counted, max region ${(250000).toLocaleString()} px²`
+    );
+  });
+});
@@ -0,0 +1,139 @@
+const { test, expect } = require("@playwright/test");
+const { toPagePath, buildUrlMap } = require("../utils/urlMapping.js");
+
+// Pure helpers: one project is enough
+test.skip(({ browserName }) => browserName !== "chromium", "Runs in chromium");
+
+const knownHosts = ["staging.example.com", "example.com"];
+
+// Minimal config.js with the given URL lists
+function makeConfig(stagingUrls, prodUrls, extra = {}) {
+  return {
+    staging: { baseUrl: "https://staging.example.com", urls: stagingUrls },
+    prod: { baseUrl: "https://example.com/", urls: prodUrls },
+    ...extra,
+  };
+}
+
+test.describe("toPagePath", () => {
+  test("turns relative entries into site paths", () => {
+    expect(toPagePath("about/", knownHosts)).toBe("/about/");
+    expect(toPagePath(" /about/ ", knownHosts)).toBe("/about/");
+    expect(toPagePath("degrees//mba/", knownHosts)).toBe("/degrees/mba/");
+  });
+
+  test("keeps query strings untouched", () => {
+    expect(toPagePath("/apply/?d=EMPORIA-M-MBA", knownHosts)).toBe(
+      "/apply/?d=EMPORIA-M-MBA"
+    );
+    expect(toPagePath("apply//?next=//x", knownHosts)).toBe("/apply/?next=//x");
+  });
+
+  test("strips known hosts from absolute entries", () => {
+    expect(toPagePath("https://example.com/about/", knownHosts)).toBe(
+      "/about/"
+    );
+    expect(
+      toPagePath("https://staging.example.com/apply/?d=MBA", knownHosts)
+    ).toBe("/apply/?d=MBA");
+  });
+
+  test("returns null for absolute entries on unknown hosts", () => {
+    expect(toPagePath("https://other.example.org/about/", knownHosts)).toBe(
+      null
+    );
+    expect(toPagePath("//cdn.example.net/file.pdf", knownHosts)).toBe(null);
+  });
+});
+
+test.describe("buildUrlMap", () => {
+  test("pairs pages listed for both environments", () => {
+    const urlMap = buildUrlMap(
+      makeConfig(
+        ["/", "about/", "https://staging.example.com/apply/?d=MBA"],
+        ["https://example.com/", "/about/", "/apply/?d=MBA"]
+      )
+    );
+
+    expect(urlMap.pairs).toEqual([
+      {
+        pagePath: "/",
+        prodPath: "/",
+        stagingUrl: "https://staging.example.com/",
+        prodUrl: "https://example.com/",
+      },
+      {
+        pagePath: "/about/",
+        prodPath: "/about/",
+        stagingUrl: "https://staging.example.com/about/",
+        prodUrl: "https://example.com/about/",
+      },
+      {
+        pagePath: "/apply/?d=MBA",
+        prodPath: "/apply/?d=MBA",
+        stagingUrl: "https://staging.example.com/apply/?d=MBA",
+        prodUrl: "https://example.com/apply/?d=MBA",
+      },
+    ]);
+    expect(urlMap.stagingOnly).toEqual([]);
+    expect(urlMap.prodOnly).toEqual([]);
+    expect(urlMap.skipped).toEqual([]);
+  });
+
+  test("reports pages listed for one environment only", () => {
+    const urlMap = buildUrlMap(
+      makeConfig(["/", "/new/"], ["/", "/old/", "/old/"])
+    );
+
+    expect(urlMap.pairs.map((pair) => pair.pagePath)).toEqual(["/"]);
+    expect(urlMap.stagingOnly).toEqual(["/new/"]);
+    expect(urlMap.prodOnly).toEqual(["/old/"]);
+    expect(urlMap.stagingUrls).toEqual([
+      "https://staging.example.com/",
+      "https://staging.example.com/new/",
+    ]);
+  });
+
+  test("skips entries on unknown hosts", () => {
+    const urlMap = buildUrlMap(
+      makeConfig(["/", "https://other.example.org/"], ["/"])
+    );
+
+    expect(urlMap.pairs).toHaveLength(1);
+    expect(urlMap.skipped).toEqual([
+      {
+        environment: "staging",
+        entry: "https://other.example.org/",
+        reason: "Unknown host",
+      },
+    ]);
+  });
+
+  test("follows urlMappings to differently named prod pages", () => {
+    const urlMap = buildUrlMap(
+      makeConfig(["/tuition/", "/contact/"], ["/tuition.aspx"], {
+        urlMappings: {
+          "/tuition/": "/tuition.aspx",
+          "/contact/": "/contact-us.aspx",
+        },
+      })
+    );
+
+    expect(urlMap.pairs).toEqual([
+      {
+        pagePath: "/tuition/",
+        prodPath: "/tuition.aspx",
+        stagingUrl: "https://staging.example.com/tuition/",
+        prodUrl: "https://example.com/tuition.aspx",
+      },
+      {
+        pagePath: "/contact/",
+        prodPath: "/contact-us.aspx",
+        stagingUrl: "https://staging.example.com/contact/",
+        prodUrl: "https://example.com/contact-us.aspx",
+      },
+    ]);
+    expect(urlMap.stagingOnly).toEqual([]);
+    expect(urlMap.prodOnly).toEqual([]);
+  });
+});
@@ -1,10 +1,108 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect, devices } = require("@playwright/test");
 const fs = require("fs");
 const path = require("path");
 const { PNG } = require("pngjs");
 const sharp = require("sharp");
 const config = require("../config.js");
-const axios = require("axios");
+const {
+  findDiffRegions,
+  formatRegion,
+  writeAnnotatedImage,
+} = require("../utils/diffRegions.js");
+const {
+  captureDomSnapshot,
+  getDomSnapshotPath,
+  readDomSnapshot,
+  compareDomSnapshots,
+  findElementsInRegion,
+} = require("../utils/domSnapshot.js");
+const {
+  getIgnoreRules,
+  collectMaskRects,
+  applyMasks,
+  createHatchOverlay,
+} = require("../utils/masking.js");
+const {
+  toFileName,
+  getBaselineScreenshot,
+  getApproveCommand,
+} = require("../utils/baselines.js");
+const {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  getResultStatus,
+  formatThresholds,
+} = require("../utils/thresholds.js");
+const {
+  escapeXml,
+  getResultName,
+  getFailureMessage,
+  writeJsonResults,
+  writeJUnitResults,
+} = require("../utils/resultsExport.js");
+const { runPool } = require("../utils/pool.js");
+const {
+  DEFAULT_READINESS,
+  getReadinessOptions,
+  waitForImages,
+  waitForPageReady,
+} = require("../utils/pageReadiness.js");
+const { joinUrl, buildUrlMap } = require("../utils/urlMapping.js");
+const {
+  collectPageLinks,
+  createLinkChecker,
+  summarizeLinks,
+} = require("../utils/linkChecker.js");
+const {
+  DEFAULT_IMAGE_CHECK,
+  IMAGE_PROBLEMS,
+  collectPageImages,
+  createImageChecker,
+  summarizeImages,
+} = require("../utils/imageChecker.js");
+const {
+  recordPageErrors,
+  countPageErrors,
+  comparePageErrors,
+} = require("../utils/pageErrors.js");
+const {
+  IMPACT_LEVELS,
+  getAccessibilityOptions,
+  auditPage,
+  compareAccessibility,
+} = require("../utils/accessibility.js");
+const {
+  DEFAULT_SEO,
+  extractMetadata,
+  compareMetadata,
+  checkMetadata,
+} = require("../utils/seoMetadata.js");
+const {
+  DEFAULT_MENUS,
+  readMenuLinks,
+  checkMenuLinks,
+  compareMenus,
+} = require("../utils/menus.js");
+const {
+  getContextHttpOptions,
+  getRetryPolicy,
+} = require("../utils/httpPolicy.js");
+const {
+  DEFAULT_HISTORY,
+  createRunId,
+  archiveRun,
+} = require("../utils/runHistory.js");
+const { generateHistoryDashboard } = require("../utils/historyDashboard.js");
+const {
+  getReportSettings,
+  toReportUrl,
+  addThumbnails,
+} = require("../utils/reportImages.js");
+const {
+  DEFAULT_DECISIONS,
+  loadDecisions,
+  applyDecisions,
+} = require("../utils/decisions.js");
 
 let pixelmatch;
 let chalk;
@@ -15,6 +113,41 @@ let chalk;
   chalk = (await import("chalk")).default;
 })();
 
+// Compare against the approved golden set instead of staging vs prod live:
+// COMPARE_MODE=baseline, optionally BASELINE_ENVS=staging,prod
+const baselineMode =
+  (process.env.COMPARE_MODE || config.baselines.mode) === "baseline";
+const baselineEnvironments = (
+  process.env.BASELINE_ENVS || config.baselines.environments.join(",")
+)
+  .split(",")
+  .map((environment) => environment.trim())
+  .filter((environment) => ["staging", "prod"].includes(environment));
+
+// Staging/prod URL pairs built from the two URL lists in config.js
+const urlMap = buildUrlMap(config);
+
+// Shared headers and basic-auth credentials for every browser context
+const httpOptions = getContextHttpOptions(config);
+
+// Site origins ignored when matching page errors across environments
+const siteOrigins = [config.staging.baseUrl, config.prod.baseUrl].map(
+  (baseUrl) => new URL(baseUrl).origin
+);
+
+// Rules for the metadata of the page under test
+const seoSettings = { ...DEFAULT_SEO, ...config.seo };
+
+// Run history; RUN_ID is set once per test run by scripts/startRun.js
+const historySettings = { ...DEFAULT_HISTORY, ...config.history };
+const runId = process.env.RUN_ID || createRunId();
+
+// Inline (Base64) or linked report images
+const reportSettings = getReportSettings(config);
+
+// Reviewer decisions exported from earlier reports
+const decisionSettings = { ...DEFAULT_DECISIONS, ...config.decisions };
+
 // Helper Functions
 
 // Ensure directory exists
@@ -35,103 +168,489 @@ function imageToBase64(imagePath) {
   return null; // Return null if image is missing
 }
 
-// Resize images to match specified dimensions (1280x800)
-async function resizeImage(imagePath, width, height) {
+// Build browser context options for a device entry from config.js
+function getDeviceContextOptions(device) {
+  const descriptor = devices[device.descriptor];
+  if (!descriptor) {
+    throw new Error(
+      `Unknown Playwright device "${device.descriptor}" for ${device.name}`
+    );
+  }
+  const { defaultBrowserType, ...options } = descriptor;
+  return device.viewport ? { ...options, viewport: device.viewport } : options;
+}
+
+// Browser a device entry is emulated in: its descriptor's default browser
+function getDeviceBrowserType(device) {
+  return devices[device.descriptor].defaultBrowserType || "chromium";
+}
+
+// Load a PNG and pad it with transparent pixels (right and bottom) up to the
+// given size. Works on an in-memory copy so the original file stays intact.
+async function loadPaddedImage(imagePath, width, height) {
   const buffer = fs.readFileSync(imagePath);
-  const resizedBuffer = await sharp(buffer)
-    .resize(width, height, {
-      fit: "contain",
+  const { width: imageWidth, height: imageHeight } = await sharp(
+    buffer
+  ).metadata();
+
+  if (imageWidth === width && imageHeight === height) {
+    return PNG.sync.read(buffer);
+  }
+
+  const paddedBuffer = await sharp(buffer)
+    .ensureAlpha()
+    .extend({
+      right: width - imageWidth,
+      bottom: height - imageHeight,
       background: { r: 255, g: 255, b: 255, alpha: 0 },
     })
+    .png()
     .toBuffer();
-  fs.writeFileSync(imagePath, resizedBuffer);
+  return PNG.sync.read(paddedBuffer);
 }
 
-// Compare two screenshots and return similarity percentage
-async function compareScreenshots(baselinePath, currentPath, diffPath) {
+// Compare two full-page screenshots at full resolution. The shorter capture
+// is padded at the bottom instead of scaled, and any size difference is
+// reported as a finding alongside the similarity percentage. Changed pixels
+// are clustered into regions, which are drawn onto `annotatedPath`. Masked
+// rectangles (page coordinates) are blanked in both images and left out of
+// the similarity score. `thresholds` sets the pixelmatch sensitivity and the
+// largest changed region allowed.
+async function compareScreenshots(
+  baselinePath,
+  currentPath,
+  diffPath,
+  {
+    annotatedPath,
+    deviceScaleFactor = 1,
+    masks = [],
+    thresholds = DEFAULT_THRESHOLDS,
+  } = {}
+) {
   if (!fs.existsSync(baselinePath) || !fs.existsSync(currentPath)) {
     console.log(
       chalk.red(`Missing file(s): ${baselinePath} or ${currentPath}`)
     );
-    return "Error";
+    return { similarityPercentage: "Error", thresholds };
   }
 
-  await resizeImage(baselinePath, 1280, 800);
-  await resizeImage(currentPath, 1280, 800);
-
-  const img1 = PNG.sync.read(fs.readFileSync(baselinePath)); // Staging
-  const img2 = PNG.sync.read(fs.readFileSync(currentPath)); // Prod
-
-  if (img1.width !== img2.width || img1.height !== img2.height) {
-    console.log(
-      chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
+  const stagingSize = await sharp(baselinePath).metadata();
+  const prodSize = await sharp(currentPath).metadata();
+  const width = Math.max(stagingSize.width, prodSize.width);
+  const height = Math.max(stagingSize.height, prodSize.height);
+
+  const findings = [];
+  const heightDifference = prodSize.height - stagingSize.height;
+  if (heightDifference !== 0) {
+    findings.push(
+      `Page height differs by ${Math.abs(heightDifference)}px (staging ${
+        stagingSize.height
+      }px, prod ${prodSize.height}px)`
+    );
+    console.log(chalk.yellow(`${findings[0]}: ${currentPath}`));
+  }
+  if (stagingSize.width !== prodSize.width) {
+    findings.push(
+      `Page width differs (staging ${stagingSize.width}px, prod ${
+        prodSize.width
+      }px)`
     );
-    return "Size mismatch";
   }
 
-  const diff = new PNG({ width: img1.width, height: img1.height });
+  const img1 = await loadPaddedImage(baselinePath, width, height); // Staging
+  const img2 = await loadPaddedImage(currentPath, width, height); // Prod
 
-  pixelmatch(img1.data, img2.data, diff.data, img1.width, img1.height, {
-    threshold: 0.1,
-    diffColor: [0, 0, 255], // Blue for Prod Differences
-    diffColorAlt: [255, 165, 0], // Orange for Staging Differences
-  });
+  const maskedPixels = applyMasks([img1, img2], masks, deviceScaleFactor);
+  if (masks.length) {
+    findings.push(`${masks.length} area(s) masked and ignored`);
+  }
 
-  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  const diff = new PNG({ width, height });
 
-  const totalPixels = img1.width * img1.height;
   const mismatchedPixels = pixelmatch(
     img1.data,
     img2.data,
-    null,
-    img1.width,
-    img1.height,
-    { threshold: 0.1 }
+    diff.data,
+    width,
+    height,
+    {
+      threshold: thresholds.pixelmatch,
+      includeAA: thresholds.includeAA,
+      diffColor: [0, 0, 255], // Blue for Prod Differences
+      diffColorAlt: [255, 165, 0], // Orange for Staging Differences
+    }
   );
 
+  const regions = findDiffRegions(diff, { deviceScaleFactor });
+  if (thresholds.maxRegionArea) {
+    regions
+      .filter(
+        (region) =>
+          region.page.width * region.page.height > thresholds.maxRegionArea
+      )
+      .forEach((region) => {
+        findings.push(
+          `Region #${region.id} exceeds the ${thresholds.maxRegionArea.toLocaleString()} px² limit`
+        );
+      });
+  }
+
+  ensureDirectoryExistence(diffPath);
+  if (masks.length) {
+    const hatch = createHatchOverlay(masks, {
+      width,
+      height,
+      deviceScaleFactor,
+    });
+    await sharp(PNG.sync.write(diff))
+      .composite([{ input: Buffer.from(hatch), top: 0, left: 0 }])
+      .toFile(diffPath);
+  } else {
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  }
+  if (annotatedPath && regions.length) {
+    ensureDirectoryExistence(annotatedPath);
+    await writeAnnotatedImage(currentPath, regions, annotatedPath, {
+      width,
+      height,
+      deviceScaleFactor,
+      masks,
+    });
+  } else if (annotatedPath && fs.existsSync(annotatedPath)) {
+    fs.unlinkSync(annotatedPath); // Drop a stale overlay from a previous run
+  }
+
+  const totalPixels = width * height - maskedPixels;
   const matchedPixels = totalPixels - mismatchedPixels;
-  return (matchedPixels / totalPixels) * 100;
+  return {
+    similarityPercentage: totalPixels
+      ? (matchedPixels / totalPixels) * 100
+      : 100,
+    stagingSize: { width: stagingSize.width, height: stagingSize.height },
+    prodSize: { width: prodSize.width, height: prodSize.height },
+    heightDifference,
+    findings,
+    regions,
+    masks,
+    thresholds,
+  };
 }
 
-// Capture screenshot for a given URL
-async function captureScreenshot(page, url, screenshotPath) {
+// Capture screenshot and DOM layout snapshot for a given URL once the page
+// is ready (see utils/pageReadiness.js). Ignore rules from config.js are
+// resolved to page rectangles and stored in the snapshot. Captures left by
+// an earlier run are removed first, and a failed capture throws, so a page
+// that did not load is never compared (or approved) from stale files.
+async function captureScreenshot(
+  page,
+  url,
+  screenshotPath,
+  {
+    ignoreRules = { selectors: [], rects: [] },
+    readiness = DEFAULT_READINESS,
+    accessibility = null,
+  } = {}
+) {
+  [screenshotPath, getDomSnapshotPath(screenshotPath)].forEach((filePath) => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  // Failed requests, console errors and exceptions raised while loading
+  const errorRecorder = recordPageErrors(page);
   try {
     console.log(chalk.blue(`Navigating to: ${url}`));
 
     // Attempt navigation (will wait up to 60 seconds)
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+    const response = await page.goto(url, {
+      waitUntil: "domcontentloaded",
+      timeout: 60000,
+    });
 
-    // Force screenshot after 3 seconds
-    await page.waitForTimeout(3000);
+    await waitForPageReady(page, readiness);
 
     ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      animations: "disabled",
+    });
+
+    // Layout snapshot used to explain pixel differences element by element
+    const domSnapshot = await captureDomSnapshot(page);
+    domSnapshot.masks = await collectMaskRects(page, ignoreRules);
+    domSnapshot.errors = errorRecorder.stop();
+    domSnapshot.metadata = await extractMetadata(page, response);
+    if (accessibility) {
+      domSnapshot.accessibility = await auditPage(page, accessibility).catch(
+        (error) => {
+          console.log(
+            chalk.yellow(`Accessibility audit failed on ${url}: ${error.message}`)
+          );
+          return null;
+        }
+      );
+    }
+    fs.writeFileSync(
+      getDomSnapshotPath(screenshotPath),
+      JSON.stringify(domSnapshot, null, 2)
+    );
 
     console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
+    const errorCount = countPageErrors(domSnapshot.errors);
+    if (errorCount) {
+      console.log(chalk.yellow(`${errorCount} page error(s) on ${url}`));
+    }
   } catch (error) {
+    errorRecorder.stop();
     console.error(
       chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
     );
+    throw new Error(`Failed to capture ${url}: ${error.message}`);
+  }
+}
+
+// Compare a candidate capture against a reference capture (staging vs prod,
+// or a live environment vs its approved baseline). DOM snapshots stored next
+// to both screenshots supply the masks and the element-level changes.
+async function compareCaptures(
+  reference,
+  candidate,
+  { diffPath, annotatedPath, deviceScaleFactor, thresholds }
+) {
+  const referenceDom = readDomSnapshot(
+    getDomSnapshotPath(reference.screenshotPath)
+  );
+  const candidateDom = readDomSnapshot(
+    getDomSnapshotPath(candidate.screenshotPath)
+  );
+
+  // Mask what either capture flagged so both images match there
+  const masks = [referenceDom, candidateDom].flatMap(
+    (snapshot) => (snapshot && snapshot.masks) || []
+  );
+
+  const comparison = await compareScreenshots(
+    reference.screenshotPath,
+    candidate.screenshotPath,
+    diffPath,
+    { annotatedPath, deviceScaleFactor, masks, thresholds }
+  );
+
+  if (referenceDom && candidateDom) {
+    comparison.domChanges = compareDomSnapshots(referenceDom, candidateDom, {
+      stagingLabel: reference.label,
+      prodLabel: candidate.label,
+    });
+    (comparison.regions || []).forEach((region) => {
+      region.elements = findElementsInRegion(candidateDom, region.page);
+    });
+  }
+
+  // The page under test is staging when comparing live and the fresh
+  // capture when comparing against a baseline; the other side is expected
+  const [expectedDom, actualDom] = baselineMode
+    ? [referenceDom, candidateDom]
+    : [candidateDom, referenceDom];
+
+  // Errors only the page under test has
+  if (expectedDom && expectedDom.errors && actualDom && actualDom.errors) {
+    comparison.errorChanges = comparePageErrors(
+      expectedDom.errors,
+      actualDom.errors,
+      { origins: siteOrigins }
+    );
+  }
+
+  // Accessibility violations introduced and fixed by the page under test
+  if (
+    expectedDom &&
+    expectedDom.accessibility &&
+    actualDom &&
+    actualDom.accessibility
+  ) {
+    comparison.accessibility = compareAccessibility(
+      expectedDom.accessibility,
+      actualDom.accessibility
+    );
+  }
+
+  // SEO metadata differences plus noindex/canonical problems
+  if (expectedDom && expectedDom.metadata && actualDom && actualDom.metadata) {
+    comparison.metadata = {
+      differences: compareMetadata(expectedDom.metadata, actualDom.metadata, {
+        origins: siteOrigins,
+      }),
+      problems: checkMetadata(actualDom.metadata, seoSettings),
+    };
+  }
+
+  comparison.images = [
+    { label: reference.label, path: reference.screenshotPath },
+    { label: candidate.label, path: candidate.screenshotPath },
+    { label: "Diff", path: diffPath },
+    { label: "Changed Regions", path: annotatedPath },
+  ];
+  return comparison;
+}
+
+// Capture one URL pair from buildUrlMap and compare it: staging against
+// prod, or in baseline mode each configured environment against its
+// approved golden image. `pages` holds a browser page per environment so
+// captures run concurrently. Returns the list of results for the page.
+async function comparePage(
+  { pagePath, prodPath, stagingUrl, prodUrl },
+  { deviceName, baseDir, deviceScaleFactor, pages }
+) {
+  const urls = { pagePath, stagingUrl, prodUrl };
+  if (prodPath !== pagePath) urls.prodPath = prodPath;
+  const fileName = toFileName(pagePath);
+  const captureOptions = {
+    ignoreRules: getIgnoreRules(config.ignore, pagePath),
+    readiness: getReadinessOptions(config.capture, pagePath),
+    accessibility: getAccessibilityOptions(config.accessibility, deviceName),
+  };
+  const thresholds = getThresholds(config.thresholds, deviceName, pagePath);
+  const captures = {
+    staging: {
+      url: stagingUrl,
+      screenshotPath: path.join(baseDir, "staging", fileName),
+    },
+    prod: {
+      url: prodUrl,
+      screenshotPath: path.join(baseDir, "prod", fileName),
+    },
+  };
+
+  if (baselineMode) {
+    return Promise.all(
+      baselineEnvironments.map(async (environment) => {
+        const capture = captures[environment];
+        const approveCommand = getApproveCommand(
+          deviceName,
+          environment,
+          pagePath
+        );
+
+        try {
+          await captureScreenshot(
+            pages[environment],
+            capture.url,
+            capture.screenshotPath,
+            captureOptions
+          );
+
+          const baseline = getBaselineScreenshot(
+            config.baselines,
+            deviceName,
+            pagePath
+          );
+          if (!baseline) {
+            return {
+              ...urls,
+              environment,
+              similarityPercentage: "Error",
+              error: "No approved baseline for this page",
+              thresholds,
+              approveCommand,
+            };
+          }
+
+          const comparison = await compareCaptures(
+            {
+              label: `Baseline v${baseline.version}`,
+              screenshotPath: baseline.screenshotPath,
+            },
+            {
+              label: environment === "prod" ? "Prod" : "Staging",
+              screenshotPath: capture.screenshotPath,
+            },
+            {
+              diffPath: path.join(baseDir, "diff", environment, fileName),
+              annotatedPath: path.join(
+                baseDir,
+                "annotated",
+                environment,
+                fileName
+              ),
+              deviceScaleFactor,
+              thresholds,
+            }
+          );
+
+          return { ...urls, environment, ...comparison, approveCommand };
+        } catch (error) {
+          return {
+            ...urls,
+            environment,
+            similarityPercentage: "Error",
+            error: error.message,
+            thresholds,
+            approveCommand,
+          };
+        }
+      })
+    );
+  }
+
+  try {
+    // Let both captures finish before reporting a failure, so neither lane
+    // page is still loading when the next pair starts
+    const outcomes = await Promise.allSettled(
+      ["staging", "prod"].map((environment) =>
+        captureScreenshot(
+          pages[environment],
+          captures[environment].url,
+          captures[environment].screenshotPath,
+          captureOptions
+        )
+      )
+    );
+    const failure = outcomes.find((outcome) => outcome.status === "rejected");
+    if (failure) throw failure.reason;
+
+    const comparison = await compareCaptures(
+      { label: "Staging", screenshotPath: captures.staging.screenshotPath },
+      { label: "Prod", screenshotPath: captures.prod.screenshotPath },
+      {
+        diffPath: path.join(baseDir, "diff", fileName),
+        annotatedPath: path.join(baseDir, "annotated", fileName),
+        deviceScaleFactor,
+        thresholds,
+      }
+    );
+
+    return [{ ...urls, ...comparison }];
+  } catch (error) {
+    return [
+      {
+        ...urls,
+        similarityPercentage: "Error",
+        error: error.message,
+        thresholds,
+      },
+    ];
   }
 }
 
-// Generate HTML report with Base64 embedded images
-function generateHtmlReport(results, deviceName) {
+// Generate HTML report, with the images embedded as Base64 or linked as
+// thumbnails (config.js "report"). Rows can be filtered, searched and
+// sorted, and each pair of screenshots opens in a swipe/onion-skin viewer.
+// Reviewers accept or flag rows and export the decisions for the next run;
+// `review` is what applyDecisions() returned for this run.
+function generateHtmlReport(
+  results,
+  deviceName,
+  baselineMode = false,
+  urlMap = null,
+  review = null
+) {
   const reportPath = `visual_comparison_report_${deviceName}.html`;
   const now = new Date().toLocaleString();
 
   // Count passed, failed, and errors
-  const passed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage >= 95
-  ).length;
-  const failed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage < 95
-  ).length;
-  const errors = results.filter(
-    (r) => r.similarityPercentage === "Error"
-  ).length;
+  const passed = results.filter((r) => getResultStatus(r) === "Pass").length;
+  const failed = results.filter((r) => getResultStatus(r) === "Fail").length;
+  const errors = results.filter((r) => getResultStatus(r) === "Error").length;
 
   // **SORT RESULTS: Failed first, then errors, then passed**
   results.sort((a, b) => {
@@ -172,125 +691,694 @@ function generateHtmlReport(results, deviceName) {
         .status-pass { color: green; font-weight: bold; }
         .status-fail { color: red; font-weight: bold; }
         .status-error { color: orange; font-weight: bold; }
+        .findings { text-align: left; font-size: 14px; }
+        .findings ul { margin: 0; padding-left: 18px; }
+        .dom-changes { text-align: left; font-size: 13px; max-width: 320px; }
+        .dom-changes ul { margin: 0; padding-left: 18px; }
+        .page-errors { text-align: left; font-size: 13px; max-width: 320px; word-break: break-word; }
+        .page-errors ul { margin: 0; padding-left: 18px; }
+        .page-errors p { margin: 6px 0 0; color: #666; }
+        .a11y { text-align: left; font-size: 13px; }
+        .a11y ul { margin: 0; padding-left: 18px; }
+        .a11y code { font-size: 12px; word-break: break-all; }
+        .impact-critical { color: darkred; font-weight: bold; }
+        .impact-serious { color: red; font-weight: bold; }
+        .impact-moderate { color: orange; font-weight: bold; }
+        .impact-minor { color: #666; font-weight: bold; }
+        .metadata { text-align: left; font-size: 13px; word-break: break-word; }
+        .metadata ul { margin: 0; padding-left: 18px; }
+        .metadata .value { color: #666; }
+        .threshold { font-size: 13px; }
+        .approve { font-size: 12px; margin: 6px 0 0; }
+        .approve code { background: #f2f2f2; padding: 2px 4px; word-break: break-all; }
+        .regions { text-align: left; font-size: 13px; }
+        .regions ol { margin: 0; padding-left: 24px; }
         .criteria { font-size: 14px; text-align: center; margin-top: 10px; font-weight: bold; }
-        .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.8); }
-        .modal img { display: block; max-width: 90%; max-height: 90%; margin: auto; }
-        .modal-close { position: absolute; top: 20px; right: 30px; font-size: 30px; color: white; cursor: pointer; }
+        .review { text-align: left; font-size: 13px; min-width: 170px; }
+        .review label { display: block; white-space: nowrap; }
+        .review textarea { width: 100%; margin-top: 4px; font-size: 12px; }
+        .review p { margin: 4px 0 0; color: #666; }
+        .controls { display: flex; justify-content: center; flex-wrap: wrap; gap: 20px; margin-top: 20px; font-size: 14px; }
+        .controls input, .controls select { margin-left: 6px; padding: 4px; }
+        .viewer { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.85); overflow: auto; }
+        .viewer-toolbar { position: sticky; top: 0; display: flex; align-items: center; justify-content: center; gap: 15px; padding: 10px; background: #222; color: white; font-size: 14px; }
+        .viewer-toolbar input[type="range"] { width: 300px; }
+        .viewer-close { font-size: 30px; cursor: pointer; margin-left: 20px; }
+        .viewer-stage { position: relative; width: 90%; margin: 20px auto; }
+        .viewer-stage img { display: block; width: 100%; }
+        .viewer-stage #viewer-top { position: absolute; left: 0; top: 0; }
       </style>
     </head>
     <body>
       <h1>Visual Comparison Report</h1>
       <h2>Device: ${deviceName}</h2>
+      <h2>Mode: ${
+        baselineMode
+          ? `Approved baseline (${baselineEnvironments.join(", ")})`
+          : "Staging vs Prod"
+      }</h2>
       <div class="summary">
         <p><span class="staging">Staging:</span> ${config.staging.baseUrl} | <span class="prod">Prod:</span> ${config.prod.baseUrl}</p>
         <p>Total Pages Tested: <span>${results.length}</span></p>
         <p>Passed: <span class="passed">${passed}</span> | Failed: <span class="failed">${failed}</span> | Errors: <span class="errors">${errors}</span></p>
+        ${
+          review
+            ? `<p>Accepted as expected: <span>${
+                review.accepted.length
+              }</span> | Acceptances lapsed (page changed): <span class="failed">${
+                review.expired.length
+              }</span> | Open bugs: <span class="failed">${
+                review.bugs.filter(
+                  (bug) => !bug.result || getResultStatus(bug.result) !== "Pass"
+                ).length
+              }</span></p>`
+            : ""
+        }
         <p>Last Run: ${now}</p>
-        <a href="${reportPath}" download>Download Report</a>
+        <a href="${reportPath}" download>Download Report</a> | <a href="visual_comparison_report_index.html">All Devices</a>
+        <p class="approve">Accept this whole run as the baseline: <code>${getApproveCommand(
+          deviceName,
+          baselineMode ? baselineEnvironments[0] : "staging"
+        )}</code></p>
       </div>
-      <p class="criteria">✅ Success Criteria: A similarity score of 95% or higher is considered a pass.</p>
-      <table>
+      <p class="criteria">✅ Success Criteria: A similarity score of ${
+        getThresholds(config.thresholds, deviceName, "").similarity
+      }% or higher is considered a pass, unless config.js sets a different threshold for the page (shown on each row).</p>
+      <p class="criteria">Hatched areas in the Diff and Changed Regions images are masked by config.js ignore rules and excluded from the score.</p>
+      <div class="controls">
+        <label>Status<select id="filter-status" onchange="applyControls()">
+          <option value="">All</option>
+          <option>Fail</option>
+          <option>Error</option>
+          <option>Pass</option>
+        </select></label>
+        <label>Search<input id="filter-path" type="search" placeholder="Page path" oninput="applyControls()"></label>
+        <label>Sort<select id="sort-rows" onchange="applyControls()">
+          <option value="similarity-asc">Lowest similarity first</option>
+          <option value="similarity-desc">Highest similarity first</option>
+          <option value="status">Status</option>
+          <option value="path">Path</option>
+        </select></label>
+        <button onclick="exportDecisions()">Export decisions</button>
+        <span id="visible-count">${results.length} of ${
+    results.length
+  } pages shown</span>
+      </div>
+      <table id="results">
         <thead>
           <tr>
             <th>Page</th>
             <th>Similarity</th>
+            <th>Threshold</th>
             <th>Status</th>
+            <th>Findings</th>
+            <th>Element Changes</th>
+            <th>New Errors</th>
+            <th>Changed Regions</th>
             <th>Images</th>
+            <th>Review</th>
           </tr>
         </thead>
         <tbody>
   `;
 
-  results.forEach((result) => {
-    const sanitizedPath = result.pagePath.replace(/\//g, "_");
-    const stagingBase64 = imageToBase64(
-      `screenshots/${deviceName}/staging/${sanitizedPath}.png`
-    );
-    const prodBase64 = imageToBase64(
-      `screenshots/${deviceName}/prod/${sanitizedPath}.png`
-    );
-    const diffBase64 = imageToBase64(
-      `screenshots/${deviceName}/diff/${sanitizedPath}.png`
-    );
-
-    let statusClass = "status-error";
-    let statusText = "Error";
-
-    if (typeof result.similarityPercentage === "number") {
-      if (result.similarityPercentage >= 95) {
-        statusClass = "status-pass";
-        statusText = "Pass";
-      } else {
-        statusClass = "status-fail";
-        statusText = "Fail";
-      }
+  // Decision controls of a row, preset with the page's earlier decision
+  // unless it was an acceptance that lapsed
+  const formatReview = (result, index) => {
+    const decision = result.decision || null;
+    const preset =
+      decision && (decision.decision === "bug" || decision.current)
+        ? decision
+        : null;
+    const option = (value, label) =>
+      `<label><input type="radio" name="decision-${index}" value="${value}"${
+        (preset ? preset.decision : "") === value ? " checked" : ""
+      } onchange="recordDecision(this)"> ${label}</label>`;
+    let history = "";
+    if (decision && !preset) {
+      history = `<p class="status-fail">Accepted ${escapeXml(
+        decision.decidedAt
+      )}, but the page changed since</p>`;
+    } else if (preset) {
+      history = `<p>${
+        preset.decision === "bug" ? "Flagged as bug" : "Accepted"
+      } ${escapeXml(preset.decidedAt)}</p>`;
     }
+    return `${option("accepted", "Accept as expected")}${option(
+      "bug",
+      "Flag as bug"
+    )}${option("", "Undecided")}<textarea rows="2" placeholder="Note" data-decided-at="${
+      preset ? escapeXml(preset.decidedAt) : ""
+    }" oninput="recordDecision(this)">${escapeXml(
+      (decision && decision.note) || ""
+    )}</textarea>${history}`;
+  };
+
+  results.forEach((result, index) => {
+    const images = (result.images || [])
+      .filter((image) => image.path && fs.existsSync(image.path))
+      .map((image) =>
+        reportSettings.images === "linked"
+          ? {
+              ...image,
+              src: toReportUrl(image.thumbnail || image.path),
+              full: toReportUrl(image.path),
+            }
+          : { ...image, src: imageToBase64(image.path), full: null }
+      );
+
+    const statusText = getResultStatus(result);
+    const statusClass = `status-${statusText.toLowerCase()}`;
 
     htmlContent += `
-    <tr>
+    <tr data-status="${statusText}" data-path="${escapeXml(
+      getResultName(result)
+    )}" data-key="${escapeXml(result.decisionKey || "")}" data-fingerprint="${
+      result.fingerprint || ""
+    }" data-similarity="${
+      typeof result.similarityPercentage === "number"
+        ? result.similarityPercentage
+        : -1
+    }">
       <td>
-        <a href="${config.staging.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="staging">Staging</a> | 
-        <a href="${config.prod.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="prod">Prod</a>
+        <a href="${escapeXml(
+          result.stagingUrl
+        )}" target="_blank" class="staging">Staging</a> | 
+        <a href="${escapeXml(
+          result.prodUrl
+        )}" target="_blank" class="prod">Prod</a>${
+      result.prodPath
+        ? `<br>${escapeXml(result.pagePath)} → ${escapeXml(
+            result.prodPath
+          )} (mapped)`
+        : ""
+    }${
+      result.environment
+        ? `<br>${escapeXml(result.pagePath)} (${
+            result.environment
+          } vs baseline)`
+        : ""
+    }
       </td>
       <td>${
         typeof result.similarityPercentage === "number"
           ? result.similarityPercentage.toFixed(2) + "%"
           : "Error"
       }</td>
-      <td class="${statusClass}">${statusText}</td>
+      <td class="threshold">${
+        result.thresholds ? formatThresholds(result.thresholds) : "N/A"
+      }</td>
+      <td class="${statusClass}">${statusText}${
+      result.accepted ? "<br>(accepted)" : ""
+    }</td>
+      <td class="findings">${
+        result.error
+          ? `<p class="status-error">${escapeXml(
+              String(result.error).split("\n")[0]
+            )}</p>`
+          : ""
+      }${
+        result.findings && result.findings.length
+          ? `<ul>${result.findings
+              .map((finding) => `<li>${escapeXml(finding)}</li>`)
+              .join("")}</ul>`
+          : result.error
+          ? ""
+          : "None"
+      }${
+        result.approveCommand
+          ? `<p class="approve">Accept as baseline:<br><code>${result.approveCommand}</code></p>`
+          : ""
+      }</td>
+      <td class="dom-changes">${
+        result.domChanges && result.domChanges.length
+          ? `<ul>${result.domChanges
+              .slice(0, 25)
+              .map((change) => `<li>${escapeXml(change.message)}</li>`)
+              .join("")}</ul>${
+              result.domChanges.length > 25
+                ? `<p>…and ${result.domChanges.length - 25} more</p>`
+                : ""
+            }`
+          : result.domChanges
+          ? "None"
+          : "N/A"
+      }</td>
+      <td class="page-errors">${
+        result.errorChanges
+          ? `${
+              result.errorChanges.added.length
+                ? `<ul>${result.errorChanges.added
+                    .map(
+                      (signature) =>
+                        `<li class="status-fail">${escapeXml(signature)}</li>`
+                    )
+                    .join("")}</ul>`
+                : "None"
+            }<p>Errors: ${result.errorChanges.actualCount} on ${
+              result.environment || "staging"
+            }, ${result.errorChanges.expectedCount} on ${
+              result.environment ? "baseline" : "prod"
+            }${
+              result.errorChanges.resolved.length
+                ? `, ${result.errorChanges.resolved.length} resolved`
+                : ""
+            }</p>`
+          : "N/A"
+      }</td>
+      <td class="regions">${
+        result.regions && result.regions.length
+          ? `<ol>${result.regions
+              .map(
+                (region) =>
+                  `<li value="${region.id}">${formatRegion(region)}</li>`
+              )
+              .join("")}</ol>`
+          : "None"
+      }</td>
       <td>
         <div class="image-container">
           ${
-            stagingBase64
-              ? `<div class="image-wrapper">
-                   <img src="${stagingBase64}" onclick="openModal('${stagingBase64}')" alt="Staging">
-                   <div class="image-label">Staging</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            prodBase64
-              ? `<div class="image-wrapper">
-                   <img src="${prodBase64}" onclick="openModal('${prodBase64}')" alt="Prod">
-                   <div class="image-label">Prod</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            diffBase64
-              ? `<div class="image-wrapper">
-                   <img src="${diffBase64}" onclick="openModal('${diffBase64}')" alt="Diff">
-                   <div class="image-label">Diff</div>
+            images.length
+              ? images
+                  .map(
+                    (image) => `<div class="image-wrapper">
+                   <img src="${image.src}"${
+                      image.full
+                        ? ` data-full="${image.full}" loading="lazy"`
+                        : ""
+                    } onclick="openViewer(this)" alt="${image.label}">
+                   <div class="image-label">${image.label}</div>
                  </div>`
+                  )
+                  .join("")
               : "N/A"
           }
         </div>
       </td>
+      <td class="review">${formatReview(result, index)}</td>
     </tr>
   `;
   });
 
+  const unmatched = urlMap
+    ? [
+        ...urlMap.stagingOnly.map((entry) => ({
+          entry,
+          note: "Only in staging list",
+        })),
+        ...urlMap.prodOnly.map((entry) => ({
+          entry,
+          note: "Only in prod list",
+        })),
+        ...urlMap.skipped.map(({ environment, entry, reason }) => ({
+          entry,
+          note: `${reason} (${environment} list)`,
+        })),
+      ]
+    : [];
+
+  // Audited pages, the most newly introduced violations first
+  const countIntroduced = (result) =>
+    result.accessibility.introduced.reduce(
+      (total, rule) => total + rule.added,
+      0
+    );
+  const audited = results
+    .filter((result) => result.accessibility)
+    .sort((a, b) => countIntroduced(b) - countIntroduced(a));
+  const formatImpacts = (counts) =>
+    IMPACT_LEVELS.filter((impact) => counts[impact])
+      .map(
+        (impact) =>
+          `<span class="impact-${impact}">${impact}</span>: ${counts[impact]}`
+      )
+      .join("<br>") || "None";
+  const formatRules = (rules, key, sign) =>
+    rules.length
+      ? `<ul>${rules
+          .map(
+            (rule) =>
+              `<li><span class="impact-${rule.impact}">[${
+                rule.impact
+              }]</span> <a href="${rule.helpUrl}" target="_blank">${escapeXml(
+                rule.help
+              )}</a> (${sign}${rule[key]})${
+                sign === "+"
+                  ? `<br><code>${escapeXml(rule.targets.join(", "))}</code>`
+                  : ""
+              }</li>`
+          )
+          .join("")}</ul>`
+      : "None";
+
+  // Pages whose metadata differs or has problems, problems first
+  const metadataResults = results
+    .filter(
+      (result) =>
+        result.metadata &&
+        (result.metadata.differences.length || result.metadata.problems.length)
+    )
+    .sort(
+      (a, b) =>
+        b.metadata.problems.length - a.metadata.problems.length ||
+        b.metadata.differences.length - a.metadata.differences.length
+    );
+  const formatValue = (value) =>
+    value === null
+      ? "<em>missing</em>"
+      : `<span class="value">${escapeXml(value)}</span>`;
+
   htmlContent += `
         </tbody>
       </table>
 
-      <div id="modal" class="modal">
-        <span class="modal-close" onclick="closeModal()">&times;</span>
-        <img id="modal-image">
+      ${
+        review && review.bugs.length
+          ? `<h2>Flagged Bugs</h2>
+      <p class="criteria">Pages flagged as bugs in an exported decisions file (${
+        decisionSettings.dir
+      }/). Clear the flag in the review column and export again once fixed.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Flagged</th>
+            <th>Note</th>
+            <th>This Run</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${review.bugs
+            .map(
+              (bug) => `<tr>
+            <td>${escapeXml(bug.key)}</td>
+            <td>${escapeXml(bug.decidedAt)}</td>
+            <td>${escapeXml(bug.note || "")}</td>
+            <td>${
+              bug.result
+                ? `<span class="status-${getResultStatus(
+                    bug.result
+                  ).toLowerCase()}">${getResultStatus(bug.result)}</span>${
+                    typeof bug.result.similarityPercentage === "number"
+                      ? ` (${bug.result.similarityPercentage.toFixed(2)}%)`
+                      : ""
+                  }`
+                : "Not compared"
+            }</td>
+          </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+          : ""
+      }
+
+      ${
+        metadataResults.length
+          ? `<h2>SEO &amp; Metadata</h2>
+      <p class="criteria">Title, description, canonical, robots, Open Graph, hreflang and JSON-LD compared ${
+        baselineMode ? "with the baseline" : "between staging and prod"
+      }. Problems are noindex directives and canonical URLs outside ${
+              seoSettings.canonicalHosts.join(", ") || "any host"
+            }.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Problems</th>
+            <th>Differences</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${metadataResults
+            .map(
+              (result) => `<tr>
+            <td><a href="${escapeXml(
+              result.stagingUrl
+            )}" target="_blank">${escapeXml(getResultName(result))}</a></td>
+            <td class="metadata">${
+              result.metadata.problems.length
+                ? `<ul>${result.metadata.problems
+                    .map(
+                      (problem) =>
+                        `<li class="status-fail">${escapeXml(problem)}</li>`
+                    )
+                    .join("")}</ul>`
+                : "None"
+            }</td>
+            <td class="metadata">${
+              result.metadata.differences.length
+                ? `<ul>${result.metadata.differences
+                    .map(
+                      (difference) =>
+                        `<li><strong>${escapeXml(difference.field)}</strong><br>${
+                          baselineMode ? "Capture" : "Staging"
+                        }: ${formatValue(difference.actual)}<br>${
+                          baselineMode ? "Baseline" : "Prod"
+                        }: ${formatValue(difference.expected)}</li>`
+                    )
+                    .join("")}</ul>`
+                : "None"
+            }</td>
+          </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+          : ""
+      }
+
+      ${
+        audited.length
+          ? `<h2>Accessibility</h2>
+      <p class="criteria">axe-core WCAG audit. Counts are affected elements per impact level; "Introduced" lists rules violated on more elements ${
+        baselineMode ? "than in the baseline" : "on staging than on prod"
+      }.</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>${baselineMode ? "Capture" : "Staging"}</th>
+            <th>${baselineMode ? "Baseline" : "Prod"}</th>
+            <th>Introduced</th>
+            <th>Fixed</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${audited
+            .map(
+              (result) => `<tr>
+            <td><a href="${escapeXml(
+              result.stagingUrl
+            )}" target="_blank">${escapeXml(getResultName(result))}</a></td>
+            <td>${formatImpacts(result.accessibility.actualByImpact)}</td>
+            <td>${formatImpacts(result.accessibility.expectedByImpact)}</td>
+            <td class="a11y">${formatRules(
+              result.accessibility.introduced,
+              "added",
+              "+"
+            )}</td>
+            <td class="a11y">${formatRules(
+              result.accessibility.fixed,
+              "removed",
+              "-"
+            )}</td>
+          </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+          : ""
+      }
+
+      ${
+        unmatched.length
+          ? `<h2>Pages Not Compared</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${unmatched
+            .map(
+              ({ entry, note }) =>
+                `<tr><td>${escapeXml(entry)}</td><td>${escapeXml(
+                  note
+                )}</td></tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>`
+          : ""
+      }
+
+      <div id="viewer" class="viewer">
+        <div class="viewer-toolbar">
+          <strong id="viewer-title"></strong>
+          <select id="viewer-mode" onchange="updateViewer()">
+            <option value="swipe">Swipe</option>
+            <option value="onion">Onion skin</option>
+            <option value="single">Single image</option>
+          </select>
+          <span id="viewer-labels"></span>
+          <input id="viewer-slider" type="range" min="0" max="100" value="50" oninput="updateViewer()">
+          <span class="viewer-close" onclick="closeViewer()">&times;</span>
+        </div>
+        <div class="viewer-stage">
+          <img id="viewer-base">
+          <img id="viewer-top">
+        </div>
       </div>
 
       <script>
-        function openModal(imageSrc) { 
-          document.getElementById("modal-image").src = imageSrc; 
-          document.getElementById("modal").style.display = "block"; 
+        const STATUS_ORDER = { Fail: 0, Error: 1, Pass: 2 };
+
+        // Filter, search and sort the result rows
+        function applyControls() {
+          const status = document.getElementById("filter-status").value;
+          const query = document.getElementById("filter-path").value.toLowerCase();
+          const sort = document.getElementById("sort-rows").value;
+          const tbody = document.querySelector("#results tbody");
+          const rows = Array.from(tbody.rows);
+          const similarity = (row) => Number(row.dataset.similarity);
+          const compare = {
+            "similarity-asc": (a, b) => similarity(a) - similarity(b),
+            "similarity-desc": (a, b) => similarity(b) - similarity(a),
+            status: (a, b) =>
+              STATUS_ORDER[a.dataset.status] - STATUS_ORDER[b.dataset.status] ||
+              similarity(a) - similarity(b),
+            path: (a, b) => a.dataset.path.localeCompare(b.dataset.path),
+          }[sort];
+          rows.sort(compare).forEach((row) => tbody.appendChild(row));
+
+          let visible = 0;
+          rows.forEach((row) => {
+            const show =
+              (!status || row.dataset.status === status) &&
+              row.dataset.path.toLowerCase().includes(query);
+            row.style.display = show ? "" : "none";
+            if (show) visible++;
+          });
+          document.getElementById("visible-count").textContent =
+            visible + " of " + rows.length + " pages shown";
+        }
+
+        // Open the viewer for a clicked image: the two screenshots of its
+        // row (reference and page under test) are compared, other images
+        // are shown on their own
+        function openViewer(image) {
+          const row = image.closest("tr");
+          const images = Array.from(row.querySelectorAll(".image-wrapper img"));
+          const index = images.indexOf(image);
+          const full = (img) => img.dataset.full || img.src;
+          const pair = images.length >= 2 && index < 2;
+          const base = pair ? images[0] : image;
+          const top = pair ? images[1] : image;
+          document.getElementById("viewer-title").textContent = row.dataset.path;
+          document.getElementById("viewer-base").src = full(base);
+          document.getElementById("viewer-top").src = full(top);
+          document.getElementById("viewer-labels").textContent = pair
+            ? base.alt + " ◀ ▶ " + top.alt
+            : image.alt;
+          document.getElementById("viewer-mode").value = pair ? "swipe" : "single";
+          document.getElementById("viewer-mode").disabled = !pair;
+          document.getElementById("viewer-slider").value = 50;
+          updateViewer();
+          document.getElementById("viewer").style.display = "block";
+        }
+
+        // Swipe reveals the page under test from the left up to the slider,
+        // onion skin fades it in over the reference
+        function updateViewer() {
+          const mode = document.getElementById("viewer-mode").value;
+          const value = Number(document.getElementById("viewer-slider").value);
+          const top = document.getElementById("viewer-top");
+          document.getElementById("viewer-slider").style.visibility =
+            mode === "single" ? "hidden" : "visible";
+          document.getElementById("viewer-base").style.visibility =
+            mode === "single" ? "hidden" : "visible";
+          top.style.clipPath = mode === "swipe" ? "inset(0 " + (100 - value) + "% 0 0)" : "none";
+          top.style.opacity = mode === "onion" ? value / 100 : 1;
+        }
+
+        function closeViewer() {
+          document.getElementById("viewer").style.display = "none";
+        }
+
+        // Review decisions, kept in localStorage until exported so a reload
+        // does not lose them
+        const DECISIONS_STORAGE_KEY = ${JSON.stringify(
+          `decisions:${deviceName}:${runId}`
+        )};
+
+        function recordDecision(input) {
+          const cell = input.closest("td");
+          cell.querySelector("textarea").dataset.decidedAt = new Date().toISOString();
+          localStorage.setItem(DECISIONS_STORAGE_KEY, JSON.stringify(readDecisions(true)));
         }
-        function closeModal() { 
-          document.getElementById("modal").style.display = "none"; 
+
+        // Decisions of every accepted or flagged row, with its note; "all"
+        // adds the rows a reviewer set back to undecided, as "" decisions
+        // that clear the page's earlier decision on the next run
+        function readDecisions(all) {
+          const decisions = {};
+          document.querySelectorAll("#results tbody tr").forEach((row) => {
+            const checked = row.querySelector(".review input:checked");
+            const note = row.querySelector(".review textarea");
+            const decision = checked ? checked.value : "";
+            if (!decision && !(all && note.dataset.decidedAt)) return;
+            decisions[row.dataset.key] = {
+              decision,
+              note: note.value.trim(),
+              fingerprint: row.dataset.fingerprint || null,
+              similarity: Number(row.dataset.similarity),
+              decidedAt: note.dataset.decidedAt || new Date().toISOString(),
+            };
+          });
+          return decisions;
+        }
+
+        function restoreDecisions() {
+          const saved = JSON.parse(localStorage.getItem(DECISIONS_STORAGE_KEY) || "{}");
+          document.querySelectorAll("#results tbody tr").forEach((row) => {
+            const decision = saved[row.dataset.key];
+            if (!decision) return;
+            row.querySelectorAll(".review input").forEach((input) => {
+              input.checked = input.value === decision.decision;
+            });
+            const note = row.querySelector(".review textarea");
+            note.value = decision.note;
+            note.dataset.decidedAt = decision.decidedAt;
+          });
         }
+
+        // Download the decisions as a JSON file to save into the decisions
+        // directory for the next run
+        function exportDecisions() {
+          const payload = {
+            device: ${JSON.stringify(deviceName)},
+            runId: ${JSON.stringify(runId)},
+            exportedAt: new Date().toISOString(),
+            decisions: readDecisions(true),
+          };
+          const link = document.createElement("a");
+          link.href = URL.createObjectURL(
+            new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" })
+          );
+          link.download = "decisions_" + payload.device + ".json";
+          link.click();
+          URL.revokeObjectURL(link.href);
+        }
+
+        restoreDecisions();
+
+        document.addEventListener("keydown", (event) => {
+          if (event.key === "Escape") closeViewer();
+        });
       </script>
 
     </body>
@@ -300,272 +1388,774 @@ function generateHtmlReport(results, deviceName) {
   fs.writeFileSync(reportPath, htmlContent);
 }
 
-// Main Test Suite
-test.describe("Visual Comparison Tests", () => {
-  test.setTimeout(7200000);
-  test("Compare staging and prod screenshots and generate HTML report", async ({
-    browser,
-  }) => {
-    const results = [];
-    const deviceName = "Desktop";
-
-    console.log(chalk.blue("Running tests..."));
+// Generate index page linking the report of every configured device
+function generateIndexReport() {
+  const reportPath = "visual_comparison_report_index.html";
+  const now = new Date().toLocaleString();
 
-    const baseDir = `screenshots/${deviceName}`;
-    ["staging", "prod", "diff"].forEach((dir) => {
-      if (!fs.existsSync(path.join(baseDir, dir))) {
-        fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
-      }
-    });
+  const rows = config.devices
+    .map((device) => {
+      const deviceReport = `visual_comparison_report_${device.name}.html`;
+      const { viewport } = getDeviceContextOptions(device);
+      const link = fs.existsSync(deviceReport)
+        ? `<a href="${deviceReport}">${deviceReport}</a>`
+        : `<span class="status-error">Not generated yet</span>`;
+      return `
+      <tr>
+        <td>${device.name}</td>
+        <td>${device.descriptor}</td>
+        <td>${viewport.width}x${viewport.height}</td>
+        <td>${link}</td>
+      </tr>`;
+    })
+    .join("");
 
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 800 },
-    });
-    const page = await context.newPage();
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Reports</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .staging { color: orange; font-weight: bold; }
+        .prod { color: blue; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
+        th { background-color: #f2f2f2; }
+        .status-error { color: orange; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Reports</h1>
+      <div class="summary">
+        <p><span class="staging">Staging:</span> ${config.staging.baseUrl} | <span class="prod">Prod:</span> ${config.prod.baseUrl}</p>
+        <p>Last Updated: ${now}</p>
+        ${
+          fs.existsSync("link_check_report.html")
+            ? `<p><a href="link_check_report.html">Link Check Report</a></p>`
+            : ""
+        }
+        ${
+          fs.existsSync("image_check_report.html")
+            ? `<p><a href="image_check_report.html">Image Check Report</a></p>`
+            : ""
+        }
+        ${
+          fs.existsSync(path.join(historySettings.dir, "index.html"))
+            ? `<p><a href="${historySettings.dir}/index.html">Run History</a></p>`
+            : ""
+        }
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Descriptor</th>
+            <th>Viewport</th>
+            <th>Report</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
 
-    for (const pagePath of config.staging.urls) {
-      const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
-      const prodUrl = `${config.prod.baseUrl}${pagePath}`;
-      const stagingScreenshotPath = path.join(
-        baseDir,
-        "staging",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const prodScreenshotPath = path.join(
-        baseDir,
-        "prod",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const diffScreenshotPath = path.join(
-        baseDir,
-        "diff",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
+  fs.writeFileSync(reportPath, htmlContent);
+}
 
-      try {
-        await captureScreenshot(page, stagingUrl, stagingScreenshotPath);
-        await captureScreenshot(page, prodUrl, prodScreenshotPath);
+// Generate HTML report of the link check with one table row per page
+function generateLinkReport(pageSummaries) {
+  const reportPath = "link_check_report.html";
+  const now = new Date().toLocaleString();
+  const totalBroken = pageSummaries.reduce(
+    (total, summary) => total + summary.broken.length,
+    0
+  );
+  const totalRedirected = pageSummaries.reduce(
+    (total, summary) => total + summary.redirected.length,
+    0
+  );
 
-        const similarity = await compareScreenshots(
-          stagingScreenshotPath,
-          prodScreenshotPath,
-          diffScreenshotPath
-        );
+  // Pages with broken links first
+  const sorted = [...pageSummaries].sort(
+    (a, b) => b.broken.length - a.broken.length
+  );
 
-        results.push({ pagePath, similarityPercentage: similarity });
-      } catch (error) {
-        results.push({
-          pagePath,
-          similarityPercentage: "Error",
-          error: error.message,
-        });
-      }
-    }
+  const formatChain = (result) =>
+    result.redirects
+      .map((hop) => `${escapeXml(hop.url)} (${hop.status})`)
+      .concat(escapeXml(result.finalUrl))
+      .join(" → ");
+
+  const rows = sorted
+    .map(
+      (summary) => `
+      <tr>
+        <td><a href="${escapeXml(summary.pageUrl)}" target="_blank">${escapeXml(
+        summary.pageUrl
+      )}</a></td>
+        <td>${summary.checked}</td>
+        <td class="${summary.broken.length ? "status-fail" : "status-pass"}">${
+        summary.broken.length
+      }</td>
+        <td>${summary.redirected.length}</td>
+        <td>${Object.entries(summary.byKind)
+          .map(([kind, count]) => `${kind}: ${count}`)
+          .join(", ")}</td>
+        <td class="details">${
+          summary.broken.length
+            ? `<ul>${summary.broken
+                .map(
+                  (result) =>
+                    `<li><span class="status-fail">${escapeXml(
+                      result.error
+                    )}</span> [${result.kind}] ${escapeXml(result.url)}${
+                      result.redirects.length
+                        ? `<br>Redirects: ${formatChain(result)}`
+                        : ""
+                    }</li>`
+                )
+                .join("")}</ul>`
+            : ""
+        }${
+        summary.redirected.length
+          ? `<details><summary>${
+              summary.redirected.length
+            } redirected</summary><ul>${summary.redirected
+              .map(
+                (result) => `<li>[${result.kind}] ${formatChain(result)}</li>`
+              )
+              .join("")}</ul></details>`
+          : ""
+      }</td>
+      </tr>`
+    )
+    .join("");
 
-    generateHtmlReport(results, deviceName);
-    await context.close();
-  });
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Link Check Report</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .summary span { font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: top; }
+        th { background-color: #f2f2f2; }
+        .details { text-align: left; font-size: 13px; word-break: break-all; }
+        .details ul { margin: 0; padding-left: 18px; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <h1>Link Check Report</h1>
+      <div class="summary">
+        <p>Pages Checked: <span>${pageSummaries.length}</span></p>
+        <p>Broken: <span class="status-fail">${totalBroken}</span> | Redirected: <span>${totalRedirected}</span></p>
+        <p>Last Run: ${now}</p>
+        <a href="visual_comparison_report_index.html">All Reports</a>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Checked</th>
+            <th>Broken</th>
+            <th>Redirected</th>
+            <th>Kinds</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
 
-  test("Verify broken image links automatically on staging pages from config.js", async ({
-    page,
-  }) => {
-    const stagingUrls = config.staging.urls.map(
-      (url) => `${config.staging.baseUrl}${url}`
-    );
+  fs.writeFileSync(reportPath, htmlContent);
+  fs.writeFileSync(
+    "link_check_results.json",
+    JSON.stringify(
+      { generatedAt: new Date().toISOString(), pages: pageSummaries },
+      null,
+      2
+    )
+  );
+}
 
-    for (const url of stagingUrls) {
-      console.log(chalk.blue(`Navigating to: ${url}`));
-      await page.goto(url, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green(`Page loaded successfully: ${url}`));
+// Generate HTML report of the broken-image check with one row per page
+function generateImageReport(pageSummaries) {
+  const reportPath = "image_check_report.html";
+  const now = new Date().toLocaleString();
+  const totalChecked = pageSummaries.reduce(
+    (total, summary) => total + summary.checked,
+    0
+  );
+  const totalBroken = pageSummaries.reduce(
+    (total, summary) => total + summary.broken.length,
+    0
+  );
+  const problemLabel = (problem) =>
+    IMAGE_PROBLEMS[problem] || "Page failed to load";
 
-      console.log(chalk.blue("Finding all image elements on the page..."));
-      const images = await page.locator("img");
-      const imageCount = await images.count();
-      console.log(chalk.green(`Found ${imageCount} images on the page.`));
+  // Pages with broken images first
+  const sorted = [...pageSummaries].sort(
+    (a, b) => b.broken.length - a.broken.length
+  );
 
-      let brokenImages = 0;
-      let trackingPixels = 0;
-      let checkedImages = 0;
+  const rows = sorted
+    .map(
+      (summary) => `
+      <tr>
+        <td><a href="${escapeXml(summary.pageUrl)}" target="_blank">${escapeXml(
+        summary.pageUrl
+      )}</a></td>
+        <td>${summary.checked}</td>
+        <td class="${summary.broken.length ? "status-fail" : "status-pass"}">${
+        summary.broken.length
+      }</td>
+        <td>${Object.entries(summary.byProblem)
+          .map(([problem, count]) => `${problemLabel(problem)}: ${count}`)
+          .join("<br>")}</td>
+        <td class="details">${
+          summary.broken.length
+            ? `<ul>${summary.broken
+                .map(
+                  (result) =>
+                    `<li><span class="status-fail">${escapeXml(
+                      result.error
+                    )}</span> Image ${result.index}: ${
+                      result.url ? escapeXml(result.url) : "(no src)"
+                    }${
+                      result.alt ? ` (alt: "${escapeXml(result.alt)}")` : ""
+                    }</li>`
+                )
+                .join("")}</ul>`
+            : ""
+        }</td>
+      </tr>`
+    )
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Image Check Report</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .summary span { font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: top; }
+        th { background-color: #f2f2f2; }
+        .details { text-align: left; font-size: 13px; word-break: break-all; }
+        .details ul { margin: 0; padding-left: 18px; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <h1>Image Check Report</h1>
+      <div class="summary">
+        <p>Pages Checked: <span>${pageSummaries.length}</span> | Images Checked: <span>${totalChecked}</span></p>
+        <p>Broken: <span class="status-fail">${totalBroken}</span></p>
+        <p>Last Run: ${now}</p>
+        <a href="visual_comparison_report_index.html">All Reports</a>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Images</th>
+            <th>Broken</th>
+            <th>Problems</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
 
-      // Extract and prepare all image URLs
-      const imageUrls = [];
-      for (let i = 0; i < imageCount; i++) {
-        let imageUrl = await images.nth(i).getAttribute("src");
+  fs.writeFileSync(reportPath, htmlContent);
+  fs.writeFileSync(
+    "image_check_results.json",
+    JSON.stringify(
+      { generatedAt: new Date().toISOString(), pages: pageSummaries },
+      null,
+      2
+    )
+  );
+}
 
-        if (!imageUrl) {
-          console.log(
-            chalk.yellow(`Warning: Image ${i + 1} is missing a src attribute.`)
-          );
-          brokenImages++;
-          continue;
-        }
+// Main Test Suite
+test.describe("Visual Comparison Tests", () => {
+  // A retry would repeat a run of up to two hours and overwrite its reports
+  test.describe.configure({ retries: 0 });
+  test.setTimeout(7200000);
+  test.use(httpOptions);
+  for (const device of config.devices) {
+    test(`Compare staging and prod screenshots and generate HTML report - ${device.name}`, async ({
+      browser,
+      browserName,
+    }) => {
+      const results = [];
+      const deviceName = device.name;
+      const contextOptions = {
+        ...getDeviceContextOptions(device),
+        ...httpOptions,
+      };
 
-        // Resolve relative URLs
-        if (!imageUrl.startsWith("http") && !imageUrl.startsWith("//")) {
-          imageUrl = new URL(imageUrl, url).toString();
-        } else if (imageUrl.startsWith("//")) {
-          imageUrl = `https:${imageUrl}`;
-        }
+      // Every device runs in one project only (its descriptor's browser),
+      // since all projects would write the same screenshots and reports
+      const browserType = getDeviceBrowserType(device);
+      test.skip(
+        browserName !== browserType,
+        `${deviceName} is captured in ${browserType}`
+      );
 
-        // Ignore tracking pixels
-        if (
-          imageUrl.includes("bat.bing.com") ||
-          imageUrl.includes("tracking")
-        ) {
-          console.log(chalk.yellow(`Skipping tracking pixel: ${imageUrl}`));
-          trackingPixels++;
-          continue;
+      console.log(chalk.blue(`Running tests for ${deviceName}...`));
+      urlMap.stagingOnly.forEach((pagePath) => {
+        console.log(chalk.yellow(`Only listed for staging: ${pagePath}`));
+      });
+      urlMap.prodOnly.forEach((pagePath) => {
+        console.log(chalk.yellow(`Only listed for prod: ${pagePath}`));
+      });
+
+      const baseDir = `screenshots/${deviceName}`;
+      ["staging", "prod", "diff", "annotated"].forEach((dir) => {
+        if (!fs.existsSync(path.join(baseDir, dir))) {
+          fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
         }
+      });
 
-        imageUrls.push({ index: i + 1, imageUrl });
+      // One context per lane, each with a staging and a prod page so both
+      // environments of a URL are captured at the same time
+      const concurrency = Number(
+        process.env.CAPTURE_CONCURRENCY || config.capture.concurrency || 1
+      );
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(
+          `Capture concurrency must be a whole number of at least 1, got "${
+            process.env.CAPTURE_CONCURRENCY || config.capture.concurrency
+          }"`
+        );
+      }
+      const laneCount = Math.min(concurrency, urlMap.pairs.length);
+      const lanes = [];
+      for (let i = 0; i < laneCount; i++) {
+        const context = await browser.newContext(contextOptions);
+        lanes.push({
+          context,
+          staging: await context.newPage(),
+          prod: await context.newPage(),
+        });
       }
 
-      console.log(chalk.blue(`Checking ${imageUrls.length} valid images...`));
-
-      // **Check all images concurrently for faster performance**
-      const imageChecks = await Promise.allSettled(
-        imageUrls.map(({ index, imageUrl }) =>
-          axios
-            .get(imageUrl)
-            .then((response) => ({
-              index,
-              imageUrl,
-              status: response.status,
-            }))
-            .catch((error) => ({
-              index,
-              imageUrl,
-              error: error.response
-                ? `Status: ${error.response.status}`
-                : error.message,
-            }))
-        )
+      const pageResults = await runPool(
+        urlMap.pairs,
+        laneCount,
+        (pair, lane) =>
+          comparePage(pair, {
+            deviceName,
+            baseDir,
+            deviceScaleFactor: contextOptions.deviceScaleFactor,
+            pages: lanes[lane],
+          })
       );
+      results.push(...pageResults.flat());
 
-      // **Process results**
-      for (const result of imageChecks) {
-        if (result.status === "fulfilled") {
-          console.log(
-            chalk.green(
-              `✅ Image ${result.value.index} loaded successfully: ${result.value.imageUrl}`
-            )
-          );
-        } else {
-          console.log(
-            chalk.red(
-              `❌ Image ${result.reason.index} failed: ${result.reason.imageUrl} (${result.reason.error})`
-            )
-          );
-          brokenImages++;
-        }
-        checkedImages++;
+      const review = applyDecisions(
+        results,
+        deviceName,
+        decisionSettings.enabled ? loadDecisions(decisionSettings) : {}
+      );
+      if (review.accepted.length || review.expired.length) {
+        console.log(
+          chalk.blue(
+            `Accepted as expected: ${review.accepted.length}, lapsed because the page changed: ${review.expired.length}`
+          )
+        );
       }
+      review.bugs.forEach((bug) => {
+        console.log(
+          chalk.yellow(
+            `Flagged bug: ${bug.key}${bug.note ? ` (${bug.note})` : ""}`
+          )
+        );
+      });
 
-      // **Final results per page**
-      console.log(chalk.blue(`Summary for ${url}:`));
-      console.log(
-        chalk.green(`✅ Valid images: ${checkedImages - brokenImages}`)
+      if (reportSettings.images === "linked") {
+        await addThumbnails(results, reportSettings);
+      }
+      generateHtmlReport(results, deviceName, baselineMode, urlMap, review);
+      const resultsPath = `visual_comparison_results_${deviceName}.json`;
+      writeJsonResults(results, resultsPath, {
+        device: deviceName,
+        mode: baselineMode ? "baseline" : "live",
+        runId,
+        stagingOnly: urlMap.stagingOnly,
+        prodOnly: urlMap.prodOnly,
+        skippedUrls: urlMap.skipped,
+      });
+      if (historySettings.enabled) {
+        archiveRun(historySettings, { runId, resultsPath });
+        generateHistoryDashboard(historySettings);
+      }
+      generateIndexReport();
+      writeJUnitResults(
+        results,
+        `visual_comparison_results_${deviceName}.xml`,
+        `Visual Comparison - ${deviceName}`
       );
-      console.log(chalk.red(`❌ Broken images: ${brokenImages}`));
-      console.log(
-        chalk.yellow(`⚠️ Skipped tracking pixels: ${trackingPixels}`)
+      await Promise.all(lanes.map((lane) => lane.context.close()));
+
+      // Soft-assert every page so one run reports all regressions, then fail
+      // with a summary of the pages that did not pass
+      const failures = results.filter(
+        (result) => getResultStatus(result) !== "Pass"
+      );
+      const failureLines = failures.map(
+        (result) => `  ${getResultName(result)}: ${getFailureMessage(result)}`
       );
+      results.forEach((result) => {
+        expect
+          .soft(
+            getResultStatus(result),
+            `${getResultName(result)}: ${getFailureMessage(result)}`
+          )
+          .toBe("Pass");
+      });
+      expect(
+        failures.length,
+        `${failures.length} of ${results.length} page(s) did not pass on ${deviceName}:\n${failureLines.join("\n")}`
+      ).toBe(0);
+    });
+  }
+
+  test("Verify broken image links automatically on staging pages from config.js", async ({
+    page,
+    browserName,
+  }) => {
+    // One project downloads every image and writes image_check_report.html
+    test.skip(browserName !== "chromium", "The image check runs in chromium");
+
+    const imageCheck = { ...DEFAULT_IMAGE_CHECK, ...config.imageCheck };
+    // Shared across pages so every image is downloaded once per run
+    const imageChecker = createImageChecker(page.request, {
+      ...imageCheck,
+      retry: getRetryPolicy(config),
+    });
+    const pageSummaries = [];
+
+    for (const url of urlMap.stagingUrls) {
+      console.log(chalk.blue(`Navigating to: ${url}`));
+      try {
+        await page.goto(url, { waitUntil: "load", timeout: 60000 });
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to load ${url}: ${error.message}`));
+        pageSummaries.push({
+          pageUrl: url,
+          checked: 0,
+          skipped: 0,
+          broken: [
+            {
+              index: 0,
+              url,
+              problem: "page",
+              error: error.message.split("\n")[0],
+            },
+          ],
+          byProblem: { page: 1 },
+        });
+        continue;
+      }
 
-      if (brokenImages > 0) {
+      // Lazy images are switched to eager so every image gets a chance to
+      // load and decode before naturalWidth is read
+      await waitForImages(page, imageCheck.loadTimeout);
+      const images = await collectPageImages(page);
+      console.log(chalk.blue(`Checking ${images.length} images on ${url}...`));
+      const summary = summarizeImages(url, await imageChecker.checkPage(images));
+      pageSummaries.push(summary);
+
+      summary.broken.forEach((result) => {
         console.log(
           chalk.red(
-            `🚨 Test failed for ${url}. ${brokenImages} broken images detected.`
+            `❌ Image ${result.index} failed: ${result.url || result.src} (${
+              result.error
+            })`
           )
         );
-      } else {
-        console.log(
-          chalk.green(`✅ Test passed for ${url}. No broken images found.`)
-        );
-      }
+      });
+      console.log(
+        chalk.green(
+          `✅ ${summary.checked - summary.broken.length} of ${
+            summary.checked
+          } images OK on ${url} (${summary.skipped} skipped)`
+        )
+      );
+
+      expect
+        .soft(
+          summary.broken.map(
+            (result) => `${result.url || "(no src)"} (${result.error})`
+          ),
+          `Broken images on ${url}`
+        )
+        .toEqual([]);
     }
+
+    generateImageReport(pageSummaries);
+    generateIndexReport();
+    console.log(
+      chalk.blue(`Checked ${imageChecker.cacheSize()} unique images in total.`)
+    );
   });
 
+  test("Verify links, stylesheets, scripts and frames on staging pages from config.js", async ({
+    page,
+    browserName,
+  }) => {
+    // Links do not depend on the browser: check (and report) them once
+    test.skip(browserName !== "chromium", "The link check runs in chromium");
 
-test("Verify Online Programs and Getting Started Menus - EMPORIA", async ({ page }) => {
-  try {
-      const homePageUrl = "https://live-web-emporia.pantheonsite.io/";
-      console.log(`\n🔹 Navigating to Emporia homepage: ${homePageUrl}`);
-      await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-      console.log("✅ Homepage loaded successfully.");
-
-      /**
-       * Function to open a dropdown menu and validate its links
-       */
-      const verifyMenu = async (menuName, menuSelector, submenuSelector) => {
-          console.log(`\n🔹 Locating '${menuName}' menu...`);
-
-          // Locate menu element
-          const menuElement = page.locator(menuSelector).first();
-          await menuElement.waitFor({ state: "attached", timeout: 10000 });
-          console.log(`✅ '${menuName}' menu found.`);
-
-          // Click the menu to expand it
-          console.log(`🔹 Clicking '${menuName}' menu...`);
-          await menuElement.click({ force: true });
-
-          // Wait for submenu to appear
-          console.log(`🔹 Waiting for '${menuName}' submenu to become visible...`);
-          const submenu = page.locator(submenuSelector).first();
-          await submenu.waitFor({ state: "visible", timeout: 5000 });
-          console.log(`✅ '${menuName}' submenu is now visible.`);
-
-          // Verify submenu links
-          const links = submenu.locator("a.mega-menu-link");
-          const linkCount = await links.count();
-
-          if (linkCount === 0) {
-              throw new Error(`❌ No links found in '${menuName}' menu.`);
-          }
-          console.log(`✅ Found ${linkCount} links in '${menuName}' menu.`);
+    // Shared across pages so every URL is requested once per run
+    const linkChecker = createLinkChecker(page.request, {
+      ...config.linkCheck,
+      retry: getRetryPolicy(config),
+    });
+    const pageSummaries = [];
 
-          let invalidLinks = 0;
-          for (let i = 0; i < linkCount; i++) {
-              const linkText = await links.nth(i).textContent();
-              const linkHref = await links.nth(i).getAttribute("href");
+    for (const url of urlMap.stagingUrls) {
+      console.log(chalk.blue(`Navigating to: ${url}`));
+      try {
+        await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+      } catch (error) {
+        console.log(chalk.red(`❌ Failed to load ${url}: ${error.message}`));
+        pageSummaries.push({
+          pageUrl: url,
+          checked: 0,
+          skipped: 0,
+          broken: [
+            {
+              kind: "page",
+              url,
+              error: error.message.split("\n")[0],
+              redirects: [],
+              finalUrl: url,
+            },
+          ],
+          redirected: [],
+          byKind: {},
+        });
+        continue;
+      }
 
-              console.log(`🔗 Checking link ${i + 1} in '${menuName}': "${linkText}"`);
+      const links = await collectPageLinks(page);
+      console.log(chalk.blue(`Checking ${links.length} URLs on ${url}...`));
+      const summary = summarizeLinks(url, await linkChecker.checkPage(links));
+      pageSummaries.push(summary);
 
-              if (!linkHref || linkHref.trim() === "") {
-                  console.log(`⚠️ Warning: '${linkText}' in '${menuName}' has no valid href.`);
-                  invalidLinks++;
-              } else {
-                  console.log(`✅ Valid link: '${linkText}' -> ${linkHref}`);
-              }
-          }
+      summary.broken.forEach((result) => {
+        console.log(
+          chalk.red(`❌ [${result.kind}] ${result.url} (${result.error})`)
+        );
+      });
+      console.log(
+        chalk.green(
+          `✅ ${summary.checked - summary.broken.length} of ${
+            summary.checked
+          } URLs OK on ${url} (${summary.redirected.length} redirected, ${
+            summary.skipped
+          } skipped)`
+        )
+      );
 
-          console.log(`✅ Completed verification for '${menuName}'. Invalid links: ${invalidLinks}`);
+      expect
+        .soft(
+          summary.broken.map((result) => `${result.url} (${result.error})`),
+          `Broken links on ${url}`
+        )
+        .toEqual([]);
+    }
 
-          if (invalidLinks > 0) {
-              console.log(`⚠️ Test finished with ${invalidLinks} warnings for '${menuName}'.`);
-          } else {
-              console.log(`✅ All links in '${menuName}' are valid.`);
-          }
-      };
+    generateLinkReport(pageSummaries);
+    generateIndexReport();
+    console.log(
+      chalk.blue(`Checked ${linkChecker.cacheSize()} unique URLs in total.`)
+    );
+  });
 
-      // **Verify "Online Programs" menu**
-      await verifyMenu(
-          "Online Programs",
-          "li#mega-menu-item-242 > a.mega-menu-link",
-          "li#mega-menu-item-242 > ul.mega-sub-menu"
-      );
+  test("Verify navigation menus on staging and prod", async ({
+    page,
+    browserName,
+  }) => {
+    // Desktop menus are compared once, not once per browser project
+    test.skip(browserName !== "chromium", "The menu check runs in chromium");
+    const menus = { ...DEFAULT_MENUS, ...config.menus };
+    const linkChecker = createLinkChecker(page.request, {
+      ...config.linkCheck,
+      retry: getRetryPolicy(config),
+    });
+    const menuLinks = { staging: {}, prod: {} };
+
+    for (const environment of ["staging", "prod"]) {
+      const menuPageUrl = joinUrl(config[environment].baseUrl, menus.page);
+      console.log(chalk.blue(`Navigating to ${environment}: ${menuPageUrl}`));
+      await page.goto(menuPageUrl, {
+        waitUntil: "domcontentloaded",
+        timeout: 60000,
+      });
+
+      for (const item of menus.items) {
+        const label = `'${item.name}' on ${environment}`;
+        console.log(chalk.blue(`Opening ${label}...`));
+        const trigger = page.locator(item.trigger).first();
+        await expect
+          .soft(trigger, `Trigger of ${label} is shown`)
+          .toBeVisible({ timeout: 10000 });
+        if (!(await trigger.isVisible())) continue;
+        await trigger.click({ force: true });
+
+        const submenu = page.locator(item.submenu).first();
+        await expect
+          .soft(submenu, `Submenu of ${label} opens`)
+          .toBeVisible({ timeout: 5000 });
+        if (!(await submenu.isVisible())) continue;
+
+        const links = await readMenuLinks(submenu, menus.linkSelector);
+        menuLinks[environment][item.name] = links;
+        console.log(chalk.green(`✅ Found ${links.length} links in ${label}`));
+        expect.soft(links.length, `Links in ${label}`).toBeGreaterThan(0);
+        expect
+          .soft(
+            checkMenuLinks(links, item.links, siteOrigins),
+            `Configured links of ${label}`
+          )
+          .toEqual([]);
 
-      // **Verify "Getting Started" menu**
-      await verifyMenu(
-          "Getting Started",
-          "li#mega-menu-item-243 > a.mega-menu-link",
-          "li#mega-menu-item-243 > ul.mega-sub-menu"
-      );
+        // Follow every link to confirm it resolves
+        const { results } = await linkChecker.checkPage(
+          links
+            .filter((link) => link.href)
+            .map((link) => ({ kind: "menu", url: link.href }))
+        );
+        const broken = results.filter((result) => !result.ok);
+        broken.forEach((result) => {
+          console.log(chalk.red(`❌ ${result.url} (${result.error})`));
+        });
+        expect
+          .soft(
+            broken.map((result) => `${result.url} (${result.error})`),
+            `Broken links in ${label}`
+          )
+          .toEqual([]);
 
-      console.log("\n✅ All menu verifications completed successfully!");
+        await page.keyboard.press("Escape");
+      }
+    }
 
-  } catch (error) {
-      console.error(`❌ Test failed: ${error.message}`);
-  }
-});
+    for (const item of menus.items) {
+      const stagingLinks = menuLinks.staging[item.name];
+      const prodLinks = menuLinks.prod[item.name];
+      if (!stagingLinks || !prodLinks) continue;
+
+      const differences = compareMenus(stagingLinks, prodLinks, siteOrigins);
+      differences.forEach((difference) => {
+        console.log(chalk.yellow(`'${item.name}': ${difference}`));
+      });
+      expect
+        .soft(differences, `'${item.name}' differs between staging and prod`)
+        .toEqual([]);
+    }
+  });
+
+  test("Verify mobile hamburger menu on staging and prod", async ({
+    browser,
+    browserName,
+  }) => {
+    const menus = { ...DEFAULT_MENUS, ...config.menus };
+    test.skip(!menus.mobile, "No mobile menu configured in config.js");
+    const mobileBrowser = getDeviceBrowserType(menus.mobile);
+    test.skip(
+      browserName !== mobileBrowser,
+      `The mobile menu is checked in ${mobileBrowser}, the browser of ${menus.mobile.descriptor}`
+    );
+
+    const context = await browser.newContext({
+      ...getDeviceContextOptions({
+        name: "Mobile menu",
+        descriptor: menus.mobile.descriptor,
+      }),
+      ...httpOptions,
+    });
+    const page = await context.newPage();
+
+    try {
+      for (const environment of ["staging", "prod"]) {
+        const menuPageUrl = joinUrl(config[environment].baseUrl, menus.page);
+        console.log(chalk.blue(`Navigating to ${environment}: ${menuPageUrl}`));
+        await page.goto(menuPageUrl, {
+          waitUntil: "domcontentloaded",
+          timeout: 60000,
+        });
 
+        const toggle = page.locator(menus.mobile.toggle).first();
+        const menu = page.locator(menus.mobile.menu).first();
+        await expect
+          .soft(toggle, `Hamburger toggle on ${environment}`)
+          .toBeVisible({ timeout: 10000 });
+        if (!(await toggle.isVisible())) continue;
+        await expect
+          .soft(menu, `Mobile menu starts closed on ${environment}`)
+          .toBeHidden();
+
+        await toggle.click();
+        await expect
+          .soft(menu, `Mobile menu opens on ${environment}`)
+          .toBeVisible({ timeout: 5000 });
+
+        for (const item of menus.items) {
+          const label = `'${item.name}' in the mobile menu on ${environment}`;
+          const trigger = page.locator(item.trigger).first();
+          await expect.soft(trigger, `${label} is shown`).toBeVisible();
+          if (!(await trigger.isVisible())) continue;
+
+          await trigger.click();
+          const submenu = page.locator(item.submenu).first();
+          await expect
+            .soft(submenu, `${label} expands`)
+            .toBeVisible({ timeout: 5000 });
+          expect
+            .soft(
+              await submenu.locator(menus.linkSelector).count(),
+              `Links in ${label}`
+            )
+            .toBeGreaterThan(0);
+        }
+
+        await toggle.click();
+        await expect
+          .soft(menu, `Mobile menu closes on ${environment}`)
+          .toBeHidden({ timeout: 5000 });
+        console.log(chalk.green(`✅ Mobile menu checked on ${environment}`));
+      }
+    } finally {
+      await context.close();
+    }
+  });
 });
\ No newline at end of file
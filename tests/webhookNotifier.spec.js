@@ -0,0 +1,278 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_WEBHOOKS,
+  buildWebhookPayload,
+  shouldSendWebhooks,
+  sendWebhooks,
+} = require("../utils/webhookNotifier.js");
+
+// No browser needed: one project is enough
+test.skip(({ browserName }) => browserName !== "chromium", "Runs in chromium");
+
+// Run summary as collected by utils/runSummary.js
+const runSummary = {
+  devices: [
+    {
+      device: "Desktop",
+      mode: "live",
+      generatedAt: "2026-01-01T00:00:00Z",
+      summary: { total: 3, passed: 1, failed: 1, errors: 1 },
+      reportPath: "visual_comparison_report_Desktop.html",
+    },
+  ],
+  missing: ["iPhoneSE"],
+  totals: { total: 3, passed: 1, failed: 1, errors: 1 },
+  worst: [],
+  failures: [
+    {
+      device: "Desktop",
+      pagePath: "/about/",
+      environment: null,
+      status: "Fail",
+      similarityPercentage: 91.2,
+      error: null,
+      diffPath: "screenshots/Desktop/about-diff.png",
+    },
+    {
+      device: "Desktop",
+      pagePath: "/apply/",
+      environment: "staging",
+      status: "Error",
+      similarityPercentage: null,
+      error: "Timeout",
+      diffPath: null,
+    },
+  ],
+};
+
+const passedRunSummary = {
+  ...runSummary,
+  totals: { total: 3, passed: 3, failed: 0, errors: 0 },
+  failures: [],
+};
+
+// Settings with the given endpoints and no delay between retries
+function makeSettings(endpoints, overrides = {}) {
+  return {
+    ...DEFAULT_WEBHOOKS,
+    enabled: true,
+    endpoints,
+    reportBaseUrl: "https://reports.example.com/",
+    retry: { ...DEFAULT_WEBHOOKS.retry, retryDelay: 0 },
+    ...overrides,
+  };
+}
+
+test.describe("buildWebhookPayload", () => {
+  const settings = makeSettings([]);
+
+  test("builds Slack blocks", () => {
+    const payload = buildWebhookPayload(
+      { name: "slack", template: "slack" },
+      runSummary,
+      settings
+    );
+
+    expect(payload.text).toBe(
+      "Visual comparison FAILED: 1/3 pages passed, 1 failed, 1 errors"
+    );
+    expect(payload.blocks[2].text.text).toBe(
+      "*Regressions*\n• Desktop /about/ (Fail, 91.20%)\n• Desktop /apply/ [staging] (Error, Timeout)"
+    );
+    expect(payload.blocks[3].elements[0].text).toBe(
+      "<https://reports.example.com/visual_comparison_report_Desktop.html|Desktop report>"
+    );
+  });
+
+  test("builds a Teams MessageCard", () => {
+    const payload = buildWebhookPayload(
+      { name: "teams", template: "teams" },
+      runSummary,
+      { ...settings, maxRegressions: 1 }
+    );
+
+    expect(payload["@type"]).toBe("MessageCard");
+    expect(payload.themeColor).toBe("D70000");
+    expect(payload.sections[1].text).toBe(
+      "Desktop /about/ (Fail, 91.20%)<br>…and 1 more"
+    );
+    expect(payload.potentialAction[0].targets[0].uri).toBe(
+      "https://reports.example.com/visual_comparison_report_Desktop.html"
+    );
+  });
+
+  test("builds plain JSON by default", () => {
+    const payload = buildWebhookPayload(
+      { name: "json" },
+      passedRunSummary,
+      settings
+    );
+
+    expect(payload).toMatchObject({
+      status: "passed",
+      title: "Visual comparison passed",
+      totals: passedRunSummary.totals,
+      devices: [{ device: "Desktop", total: 3, passed: 1 }],
+      missingDevices: ["iPhoneSE"],
+      regressions: [],
+      moreRegressions: 0,
+    });
+  });
+
+  test("rejects unknown templates", () => {
+    expect(() =>
+      buildWebhookPayload(
+        { name: "chat", template: "irc" },
+        runSummary,
+        settings
+      )
+    ).toThrow('Unknown webhook template "irc" for chat');
+  });
+});
+
+test.describe("shouldSendWebhooks", () => {
+  const settings = makeSettings([{ name: "json", url: "http://x.invalid" }]);
+
+  test("sends only for failing runs by default", () => {
+    expect(shouldSendWebhooks(runSummary, settings)).toBe(true);
+    expect(shouldSendWebhooks(passedRunSummary, settings)).toBe(false);
+    expect(
+      shouldSendWebhooks(passedRunSummary, {
+        ...settings,
+        onlyOnFailure: false,
+      })
+    ).toBe(true);
+  });
+
+  test("skips disabled settings, missing endpoints and empty runs", () => {
+    expect(
+      shouldSendWebhooks(runSummary, { ...settings, enabled: false })
+    ).toBe(false);
+    expect(shouldSendWebhooks(runSummary, { ...settings, endpoints: [] })).toBe(
+      false
+    );
+    expect(shouldSendWebhooks({ ...runSummary, devices: [] }, settings)).toBe(
+      false
+    );
+  });
+});
+
+test.describe("sendWebhooks", () => {
+  let server;
+  let baseUrl;
+  let received;
+  // Statuses to answer per path before answering 200
+  let failures;
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        const statuses = failures[req.url] || [];
+        res.writeHead(statuses.length ? statuses.shift() : 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test.beforeEach(() => {
+    received = [];
+    failures = {};
+  });
+
+  test("posts every endpoint's payload with its headers", async ({
+    request,
+  }) => {
+    const settings = makeSettings([
+      { name: "slack", url: `${baseUrl}/slack`, template: "slack" },
+      {
+        name: "incidents",
+        url: `${baseUrl}/incidents`,
+        template: "json",
+        headers: { Authorization: "Bearer secret" },
+      },
+    ]);
+
+    const outcomes = await sendWebhooks(request, runSummary, settings);
+
+    expect(outcomes).toEqual([
+      { name: "slack", ok: true, status: 200, error: null },
+      { name: "incidents", ok: true, status: 200, error: null },
+    ]);
+    expect(received.map((entry) => entry.path)).toEqual([
+      "/slack",
+      "/incidents",
+    ]);
+    expect(received[1].headers["content-type"]).toBe("application/json");
+    expect(received[1].headers.authorization).toBe("Bearer secret");
+    expect(JSON.parse(received[1].body).status).toBe("failed");
+  });
+
+  test("retries temporary failures", async ({ request }) => {
+    failures["/flaky"] = [503, 503];
+    const settings = makeSettings([{ name: "flaky", url: `${baseUrl}/flaky` }]);
+
+    const outcomes = await sendWebhooks(request, runSummary, settings);
+
+    expect(outcomes).toEqual([
+      { name: "flaky", ok: true, status: 200, error: null },
+    ]);
+    expect(received).toHaveLength(3);
+  });
+
+  test("reports endpoints that keep failing without stopping", async ({
+    request,
+  }) => {
+    failures["/down"] = [503, 503, 503, 503];
+    failures["/gone"] = [404];
+    const settings = makeSettings([
+      { name: "down", url: `${baseUrl}/down` },
+      { name: "gone", url: `${baseUrl}/gone` },
+      { name: "up", url: `${baseUrl}/up` },
+    ]);
+
+    const outcomes = await sendWebhooks(request, runSummary, settings);
+
+    expect(outcomes).toEqual([
+      { name: "down", ok: false, status: 503, error: "HTTP 503" },
+      { name: "gone", ok: false, status: 404, error: "HTTP 404" },
+      { name: "up", ok: true, status: 200, error: null },
+    ]);
+    expect(received).toHaveLength(6);
+  });
+
+  test("writes the payloads to disk in dry-run mode", async ({ request }) => {
+    const dryRunDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+    try {
+      const settings = makeSettings(
+        [{ name: "Team chat", url: `${baseUrl}/teams`, template: "teams" }],
+        { dryRun: true, dryRunDir }
+      );
+
+      const outcomes = await sendWebhooks(request, runSummary, settings);
+
+      const outputPath = path.join(dryRunDir, "webhook-Team_chat.json");
+      expect(outcomes).toEqual([
+        { name: "Team chat", ok: true, dryRun: true, outputPath },
+      ]);
+      expect(received).toEqual([]);
+      const written = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+      expect(written.url).toBe(`${baseUrl}/teams`);
+      expect(written.payload["@type"]).toBe("MessageCard");
+    } finally {
+      fs.rmSync(dryRunDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require("fs");
+
+// Used for anything config.js "accessibility" does not set
+const DEFAULT_ACCESSIBILITY = {
+  enabled: true,
+  devices: ["Desktop"], // Device names the audit runs for
+  tags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"], // axe-core rule tags
+  disabledRules: [], // axe-core rule ids never reported
+};
+
+// Impact levels from most to least severe, as reported by axe-core
+const IMPACT_LEVELS = ["critical", "serious", "moderate", "minor"];
+
+// Accessibility settings for a device, or null when it is not audited
+function getAccessibilityOptions(accessibilityConfig = {}, deviceName) {
+  const options = { ...DEFAULT_ACCESSIBILITY, ...accessibilityConfig };
+  return options.enabled && options.devices.includes(deviceName)
+    ? options
+    : null;
+}
+
+// Run axe-core on the current page and group the violations by rule. Each
+// rule entry keeps its impact, help text and link, the number of affected
+// elements and the selectors of the first few of them.
+async function auditPage(page, options = DEFAULT_ACCESSIBILITY) {
+  const hasAxe = await page.evaluate(() => typeof window.axe !== "undefined");
+  if (!hasAxe) {
+    await page.addScriptTag({
+      content: fs.readFileSync(require.resolve("axe-core"), "utf-8"),
+    });
+  }
+
+  const violations = await page.evaluate(
+    async ({ tags, disabledRules }) => {
+      const rules = Object.fromEntries(
+        disabledRules.map((rule) => [rule, { enabled: false }])
+      );
+      const results = await window.axe.run(document, {
+        runOnly: { type: "tag", values: tags },
+        rules,
+        resultTypes: ["violations"],
+      });
+      return results.violations;
+    },
+    { tags: options.tags, disabledRules: options.disabledRules }
+  );
+
+  return violations
+    .map((violation) => ({
+      id: violation.id,
+      impact: violation.impact || "minor",
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      count: violation.nodes.length,
+      targets: violation.nodes.slice(0, 5).map((node) => node.target.join(" ")),
+    }))
+    .sort(
+      (a, b) =>
+        IMPACT_LEVELS.indexOf(a.impact) - IMPACT_LEVELS.indexOf(b.impact) ||
+        b.count - a.count
+    );
+}
+
+// Number of affected elements per impact level
+function countByImpact(violations) {
+  return IMPACT_LEVELS.reduce((counts, impact) => {
+    counts[impact] = violations
+      .filter((violation) => violation.impact === impact)
+      .reduce((total, violation) => total + violation.count, 0);
+    return counts;
+  }, {});
+}
+
+// Compare the audits of two captures of the same page by rule. `introduced`
+// lists the rules `actual` (the page under test) violates on more elements
+// than `expected`, with the increase; `fixed` lists the rules that got
+// better or disappeared.
+function compareAccessibility(expected, actual) {
+  const expectedById = new Map(expected.map((rule) => [rule.id, rule]));
+  const actualById = new Map(actual.map((rule) => [rule.id, rule]));
+  const introduced = actual
+    .map((rule) => ({
+      ...rule,
+      added: rule.count - (expectedById.get(rule.id) || { count: 0 }).count,
+    }))
+    .filter((rule) => rule.added > 0);
+  const fixed = expected
+    .map((rule) => ({
+      ...rule,
+      removed: rule.count - (actualById.get(rule.id) || { count: 0 }).count,
+    }))
+    .filter((rule) => rule.removed > 0);
+
+  return {
+    introduced,
+    fixed,
+    expectedByImpact: countByImpact(expected),
+    actualByImpact: countByImpact(actual),
+  };
+}
+
+module.exports = {
+  DEFAULT_ACCESSIBILITY,
+  IMPACT_LEVELS,
+  getAccessibilityOptions,
+  auditPage,
+  countByImpact,
+  compareAccessibility,
+};
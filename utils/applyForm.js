@@ -0,0 +1,204 @@
+const { matchesPattern } = require("./masking.js");
+
+// Used for anything config.js "applyForm" does not set
+const DEFAULT_APPLY_FORM = {
+  pages: "/apply/?d=*", // URL pattern of the apply pages
+  codeParam: "d", // Query parameter holding the program code
+  frame: null, // iframe holding the form, if it is embedded
+  form: "form", // The apply form
+  programField: "select[name*='program' i]", // Field with the preselection
+  programs: {}, // Program code -> expected option value or label
+  submit: "[type='submit']", // Submit control of the form
+  errorSelector: ".error, [aria-invalid='true']", // Custom validation errors
+  timeout: 15000, // Longest wait for the form, in ms
+};
+
+// Program code of every apply page pair from the URL map, e.g.
+// { code: "EMPORIA-M-MBA", pair } for "/apply/?d=EMPORIA-M-MBA"
+function getProgramPages(urlMap, settings = DEFAULT_APPLY_FORM) {
+  return urlMap.pairs
+    .filter(({ pagePath }) => matchesPattern(pagePath, settings.pages))
+    .map((pair) => ({
+      code: new URL(
+        pair.pagePath,
+        "https://placeholder.invalid"
+      ).searchParams.get(settings.codeParam),
+      pair,
+    }))
+    .filter(({ code }) => code);
+}
+
+// Answer every request that could submit data (anything but GET, HEAD and
+// OPTIONS) with an empty 200 instead of letting it reach a real backend.
+// Once `lock(action)` is called (after the form has loaded), navigations
+// are aborted as well, since a GET form submits by navigating, and so is
+// every request to the form's action URL; `unlock()` allows the next page
+// load. Returns { intercepted, lock, unlock }, `intercepted` listing the
+// blocked requests.
+async function blockSubmissions(page) {
+  const intercepted = [];
+  let locked = false;
+  let actionUrl = null;
+  const stripQuery = (url) => url.split(/[?#]/)[0];
+
+  await page.route("**/*", (route) => {
+    const request = route.request();
+    const navigation = request.isNavigationRequest();
+    const submission =
+      !["GET", "HEAD", "OPTIONS"].includes(request.method()) ||
+      (locked && (navigation || stripQuery(request.url()) === actionUrl));
+    if (!submission) return route.continue();
+
+    intercepted.push({ method: request.method(), url: request.url() });
+    // Aborting keeps the current document (and its validation messages)
+    if (navigation) return route.abort("aborted");
+    return route.fulfill({
+      status: 200,
+      contentType: "application/json",
+      body: "{}",
+    });
+  });
+
+  return {
+    intercepted,
+    lock: (action = null) => {
+      locked = true;
+      actionUrl = action ? stripQuery(action) : null;
+    },
+    unlock: () => {
+      locked = false;
+      actionUrl = null;
+    },
+  };
+}
+
+// Locator root of the form: the page itself or the iframe embedding it
+function getFormRoot(page, settings = DEFAULT_APPLY_FORM) {
+  return settings.frame ? page.frameLocator(settings.frame) : page;
+}
+
+// Name, type, label and required flag of every visible field in the form
+async function readFormFields(form) {
+  return form.evaluate((element) =>
+    Array.from(element.querySelectorAll("input, select, textarea"))
+      .filter(
+        (field) =>
+          !["hidden", "submit", "button", "reset", "image"].includes(
+            field.type
+          ) &&
+          (field.offsetWidth ||
+            field.offsetHeight ||
+            field.getClientRects().length)
+      )
+      .map((field) => {
+        const label =
+          (field.labels && field.labels[0] && field.labels[0].textContent) ||
+          field.getAttribute("aria-label") ||
+          field.getAttribute("placeholder") ||
+          "";
+        return {
+          name: field.name || field.id,
+          type:
+            field.tagName === "INPUT"
+              ? field.type
+              : field.tagName.toLowerCase(),
+          label: label.replace(/\s+/g, " ").trim(),
+          required:
+            field.required || field.getAttribute("aria-required") === "true",
+        };
+      })
+  );
+}
+
+// Value and visible label of the program field, or null when it is missing
+async function readProgramSelection(form, selector) {
+  const field = form.locator(selector).first();
+  if (!(await field.count())) return null;
+  return field.evaluate((element) => ({
+    value: element.value,
+    label:
+      element.tagName === "SELECT" && element.selectedIndex >= 0
+        ? element.options[element.selectedIndex].textContent.trim()
+        : element.value,
+  }));
+}
+
+// Whether the program field is preselected for a program code: the value
+// or label configured in "programs" for the code, otherwise the code itself
+function isProgramPreselected(selection, code, programs = {}) {
+  if (!selection) return false;
+  const expected = programs[code] || code;
+  return [selection.value, selection.label].some(
+    (value) => value && value.toLowerCase() === expected.toLowerCase()
+  );
+}
+
+// After an empty submit: the required fields that are still empty yet show
+// neither a native validation message nor one of the custom error elements
+// next to them. Prefilled fields, like the preselected program, are skipped.
+async function findUnflaggedRequiredFields(form, errorSelector) {
+  return form.evaluate(
+    (element, selector) =>
+      Array.from(element.querySelectorAll("input, select, textarea"))
+        .filter(
+          (field) =>
+            field.required || field.getAttribute("aria-required") === "true"
+        )
+        .filter((field) =>
+          ["checkbox", "radio"].includes(field.type)
+            ? !field.checked
+            : !field.value
+        )
+        .filter((field) => {
+          if (field.validationMessage) return false;
+          if (field.matches(selector)) return false;
+          const container = field.closest("div, p, li, fieldset") || field;
+          return !container.querySelector(selector);
+        })
+        .map((field) => field.name || field.id),
+    errorSelector
+  );
+}
+
+// Compare the field sets of the staging and prod forms by field name
+function compareFormFields(stagingFields, prodFields) {
+  const prodByName = new Map(prodFields.map((field) => [field.name, field]));
+  const stagingNames = new Set(stagingFields.map((field) => field.name));
+  const differences = prodFields
+    .filter((field) => !stagingNames.has(field.name))
+    .map((field) => `Field '${field.name}' is missing on staging`);
+
+  stagingFields.forEach((field) => {
+    const prodField = prodByName.get(field.name);
+    if (!prodField) {
+      differences.push(`Field '${field.name}' is only on staging`);
+      return;
+    }
+    if (prodField.type !== field.type) {
+      differences.push(
+        `Field '${field.name}' is a ${field.type} on staging but a ${prodField.type} on prod`
+      );
+    }
+    if (prodField.required !== field.required) {
+      differences.push(
+        `Field '${field.name}' is ${
+          field.required ? "required" : "optional"
+        } on staging but ${prodField.required ? "required" : "optional"} on prod`
+      );
+    }
+  });
+
+  return differences;
+}
+
+module.exports = {
+  DEFAULT_APPLY_FORM,
+  getProgramPages,
+  blockSubmissions,
+  getFormRoot,
+  readFormFields,
+  readProgramSelection,
+  isProgramPreselected,
+  findUnflaggedRequiredFields,
+  compareFormFields,
+};
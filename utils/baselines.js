@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+
+// Screenshot file name used for a page path throughout screenshots/
+function toFileName(pagePath) {
+  return `${pagePath.replace(/\//g, "_")}.png`;
+}
+
+// Root folder holding the approved golden images of one device
+function getBaselineDir(baselineConfig, deviceName) {
+  return path.join(
+    (baselineConfig && baselineConfig.dir) || "baselines",
+    deviceName
+  );
+}
+
+// Read the manifest of a device's golden set. Each approval creates a new
+// immutable version folder (v1, v2, ...) holding only the pages approved in
+// it; `pages` points every page at the version holding its current image.
+function readManifest(baselineConfig, deviceName) {
+  const manifestPath = path.join(
+    getBaselineDir(baselineConfig, deviceName),
+    "manifest.json"
+  );
+  if (!fs.existsSync(manifestPath)) {
+    return { device: deviceName, version: 0, history: [], pages: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
+
+// Location of the approved golden image for a page, or null if none exists
+function getBaselineScreenshot(baselineConfig, deviceName, pagePath) {
+  const entry = readManifest(baselineConfig, deviceName).pages[pagePath];
+  if (!entry) return null;
+
+  const screenshotPath = path.join(
+    getBaselineDir(baselineConfig, deviceName),
+    `v${entry.version}`,
+    entry.file
+  );
+  if (!fs.existsSync(screenshotPath)) return null;
+  return { ...entry, screenshotPath };
+}
+
+// Approve captured screenshots as the new golden images. Copies the latest
+// capture of `environment` for every page in `pagePaths` (and its DOM
+// snapshot) into a new version folder and records it in the manifest.
+// Returns the new version number and the pages actually approved.
+function approveBaselines(
+  baselineConfig,
+  { deviceName, environment, pagePaths, note = "" }
+) {
+  const baselineDir = getBaselineDir(baselineConfig, deviceName);
+  const manifest = readManifest(baselineConfig, deviceName);
+  const version = manifest.version + 1;
+  const versionDir = path.join(baselineDir, `v${version}`);
+  const approvedAt = new Date().toISOString();
+  const approved = [];
+  const missing = [];
+
+  pagePaths.forEach((pagePath) => {
+    const file = toFileName(pagePath);
+    const capturePath = path.join("screenshots", deviceName, environment, file);
+    if (!fs.existsSync(capturePath)) {
+      missing.push(pagePath);
+      return;
+    }
+
+    fs.mkdirSync(versionDir, { recursive: true });
+    fs.copyFileSync(capturePath, path.join(versionDir, file));
+    const domPath = capturePath.replace(/\.png$/, ".dom.json");
+    if (fs.existsSync(domPath)) {
+      fs.copyFileSync(domPath, path.join(versionDir, path.basename(domPath)));
+    }
+
+    manifest.pages[pagePath] = { version, file, environment, approvedAt };
+    approved.push(pagePath);
+  });
+
+  if (approved.length) {
+    manifest.version = version;
+    manifest.history.push({
+      version,
+      approvedAt,
+      environment,
+      note,
+      pages: approved,
+    });
+    fs.writeFileSync(
+      path.join(baselineDir, "manifest.json"),
+      JSON.stringify(manifest, null, 2)
+    );
+  }
+
+  return {
+    version: approved.length ? version : manifest.version,
+    approved,
+    missing,
+  };
+}
+
+// Shell command that approves one page (or the whole run) from the report
+function getApproveCommand(deviceName, environment, pagePath) {
+  const pages = pagePath ? ` --pages "${pagePath}"` : "";
+  return `npm run baselines:update -- --device ${deviceName} --env ${environment}${pages}`;
+}
+
+module.exports = {
+  toFileName,
+  getBaselineDir,
+  readManifest,
+  getBaselineScreenshot,
+  approveBaselines,
+  getApproveCommand,
+};
@@ -0,0 +1,18 @@
+// Parse "--name value" and "--flag" arguments into an object
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getResultName } = require("./resultsExport.js");
+const { getResultStatus } = require("./thresholds.js");
+
+// Used for anything config.js "decisions" does not set
+const DEFAULT_DECISIONS = {
+  enabled: true,
+  dir: "decisions", // Decision files exported from the reports
+};
+
+const DECISION_TYPES = ["accepted", "bug"];
+
+// Key identifying a page's decision across runs, e.g. "Desktop /about/"
+function getDecisionKey(deviceName, result) {
+  return `${deviceName} ${getResultName(result)}`;
+}
+
+// Fingerprint of the difference a reviewer looked at: the hash of the
+// diff image, so an acceptance lapses as soon as the pages change again.
+// Null for results without a diff (errors).
+function getFingerprint(result) {
+  const diff = (result.images || []).find((image) => image.label === "Diff");
+  if (!diff || !diff.path || !fs.existsSync(diff.path)) return null;
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(diff.path))
+    .digest("hex");
+}
+
+// Every decision from the files in the decisions directory, keyed by page.
+// When files disagree on a page the most recent decision wins; a newer ""
+// (undecided) entry clears the page's decision.
+function loadDecisions(settings) {
+  const decisions = {};
+  if (!fs.existsSync(settings.dir)) return decisions;
+
+  fs.readdirSync(settings.dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const filePath = path.join(settings.dir, file);
+      let payload;
+      try {
+        payload = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      } catch (error) {
+        throw new Error(`Invalid decisions file ${filePath}: ${error.message}`);
+      }
+      Object.entries(payload.decisions || {}).forEach(([key, decision]) => {
+        if (
+          decision.decision !== "" &&
+          !DECISION_TYPES.includes(decision.decision)
+        ) {
+          return;
+        }
+        const existing = decisions[key];
+        if (!existing || existing.decidedAt <= decision.decidedAt) {
+          decisions[key] = { ...decision, source: file };
+        }
+      });
+    });
+
+  Object.keys(decisions).forEach((key) => {
+    if (decisions[key].decision === "") delete decisions[key];
+  });
+  return decisions;
+}
+
+// Attach the reviewers' decisions to a device's results. Each result gets
+// its `decisionKey` and `fingerprint`, plus `decision` when one exists;
+// failing results accepted with the current fingerprint are marked
+// `accepted` and count as passed. Returns the accepted results, the
+// acceptances that lapsed because the page changed and the flagged bugs of
+// this device (with the matching result, if the page was compared).
+function applyDecisions(results, deviceName, decisions) {
+  const accepted = [];
+  const expired = [];
+
+  results.forEach((result) => {
+    result.decisionKey = getDecisionKey(deviceName, result);
+    result.fingerprint = getFingerprint(result);
+    const decision = decisions[result.decisionKey];
+    if (!decision) return;
+
+    const current =
+      Boolean(decision.fingerprint) &&
+      decision.fingerprint === result.fingerprint;
+    result.decision = { ...decision, current };
+    if (
+      decision.decision !== "accepted" ||
+      getResultStatus(result) !== "Fail"
+    ) {
+      return;
+    }
+    if (current) {
+      result.accepted = true;
+      accepted.push(result);
+    } else {
+      expired.push(result);
+    }
+  });
+
+  // Page paths start with "/", so "Desktop" does not match "Desktop Wide"
+  const bugs = Object.entries(decisions)
+    .filter(
+      ([key, decision]) =>
+        decision.decision === "bug" && key.startsWith(`${deviceName} /`)
+    )
+    .map(([key, decision]) => ({
+      key,
+      ...decision,
+      result: results.find((result) => result.decisionKey === key) || null,
+    }));
+
+  return { accepted, expired, bugs };
+}
+
+module.exports = {
+  DEFAULT_DECISIONS,
+  DECISION_TYPES,
+  getDecisionKey,
+  getFingerprint,
+  loadDecisions,
+  applyDecisions,
+};
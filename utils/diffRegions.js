@@ -0,0 +1,199 @@
+const sharp = require("sharp");
+const { createHatchOverlay } = require("./masking.js");
+
+// Colours compareScreenshots passes to pixelmatch for changed pixels
+const DIFF_COLORS = [
+  [0, 0, 255], // Blue for Prod Differences
+  [255, 165, 0], // Orange for Staging Differences
+];
+
+// Check whether the pixel at `index` of a pixelmatch output is a real change
+// (anti-aliased pixels are yellow and unchanged ones grey, so they never match)
+function isDiffPixel(data, index) {
+  return DIFF_COLORS.some(
+    ([r, g, b]) =>
+      data[index] === r && data[index + 1] === g && data[index + 2] === b
+  );
+}
+
+// Where a region sits on the page, so the report can say "top" vs "bottom"
+function describeLocation(region, pageHeight) {
+  const centre = region.y + region.height / 2;
+  if (centre < pageHeight / 3) return "top";
+  if (centre < (pageHeight * 2) / 3) return "middle";
+  return "bottom";
+}
+
+// Cluster the changed pixels of a pixelmatch diff image into connected
+// regions. The mask is bucketed into cellSize x cellSize cells and touching
+// cells (including diagonals) are joined, so changes separated by less than
+// a cell are reported as one region. Returns the largest `maxRegions`
+// regions, numbered top to bottom, with bounding boxes in screenshot pixels
+// and in page (CSS) pixels.
+function findDiffRegions(diff, options = {}) {
+  const {
+    cellSize = 8,
+    minPixels = 1,
+    maxRegions = 50,
+    deviceScaleFactor = 1,
+  } = options;
+  const { width, height, data } = diff;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cellCount = cols * rows;
+
+  const pixels = new Uint32Array(cellCount);
+  const minX = new Int32Array(cellCount).fill(width);
+  const minY = new Int32Array(cellCount).fill(height);
+  const maxX = new Int32Array(cellCount).fill(-1);
+  const maxY = new Int32Array(cellCount).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cellSize) * cols;
+    for (let x = 0; x < width; x++) {
+      if (!isDiffPixel(data, (y * width + x) * 4)) continue;
+      const cell = row + Math.floor(x / cellSize);
+      pixels[cell]++;
+      if (x < minX[cell]) minX[cell] = x;
+      if (y < minY[cell]) minY[cell] = y;
+      if (x > maxX[cell]) maxX[cell] = x;
+      if (y > maxY[cell]) maxY[cell] = y;
+    }
+  }
+
+  const visited = new Uint8Array(cellCount);
+  const regions = [];
+
+  for (let start = 0; start < cellCount; start++) {
+    if (visited[start] || pixels[start] === 0) continue;
+
+    const region = { x1: width, y1: height, x2: -1, y2: -1, pixels: 0 };
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length) {
+      const cell = stack.pop();
+      region.pixels += pixels[cell];
+      region.x1 = Math.min(region.x1, minX[cell]);
+      region.y1 = Math.min(region.y1, minY[cell]);
+      region.x2 = Math.max(region.x2, maxX[cell]);
+      region.y2 = Math.max(region.y2, maxY[cell]);
+
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+          const neighbour = r * cols + c;
+          if (!visited[neighbour] && pixels[neighbour] > 0) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (region.pixels >= minPixels) regions.push(region);
+  }
+
+  return regions
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, maxRegions)
+    .sort((a, b) => a.y1 - b.y1 || a.x1 - b.x1)
+    .map((region, index) => {
+      const box = {
+        x: region.x1,
+        y: region.y1,
+        width: region.x2 - region.x1 + 1,
+        height: region.y2 - region.y1 + 1,
+      };
+      return {
+        id: index + 1,
+        ...box,
+        pixels: region.pixels,
+        location: describeLocation(box, height),
+        page: {
+          x: Math.round(box.x / deviceScaleFactor),
+          y: Math.round(box.y / deviceScaleFactor),
+          width: Math.round(box.width / deviceScaleFactor),
+          height: Math.round(box.height / deviceScaleFactor),
+        },
+      };
+    });
+}
+
+// Human readable one-liner for a region, used in logs and the HTML report
+function formatRegion(region) {
+  const { x, y, width, height } = region.page;
+  const elements =
+    region.elements && region.elements.length
+      ? ` (${region.elements.join(", ")})`
+      : "";
+  return `#${region.id} ${region.location}: ${width}x${height} at (${x}, ${y}), ${region.pixels.toLocaleString()} px changed${elements}`;
+}
+
+// Draw numbered rectangles for each region over a screenshot and save it,
+// hatching any masked areas. The screenshot is padded to width x height
+// first so regions found in the padded comparison still line up.
+async function writeAnnotatedImage(
+  screenshotPath,
+  regions,
+  outputPath,
+  { width, height, deviceScaleFactor = 1, masks = [] }
+) {
+  const { width: imageWidth, height: imageHeight } =
+    await sharp(screenshotPath).metadata();
+  const stroke = Math.max(2, Math.round(2 * deviceScaleFactor));
+  const fontSize = Math.round(14 * deviceScaleFactor);
+
+  const shapes = regions
+    .map((region) => {
+      const labelY = Math.max(region.y - fontSize - stroke * 2, 0);
+      return `
+      <rect x="${region.x}" y="${region.y}" width="${region.width}" height="${
+        region.height
+      }" fill="rgba(255,0,0,0.08)" stroke="red" stroke-width="${stroke}"/>
+      <rect x="${region.x}" y="${labelY}" width="${
+        fontSize * 2.5
+      }" height="${fontSize + stroke * 2}" fill="red"/>
+      <text x="${region.x + stroke * 2}" y="${
+        labelY + fontSize
+      }" font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="white">#${
+        region.id
+      }</text>`;
+    })
+    .join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes}</svg>`;
+
+  await sharp(screenshotPath)
+    .ensureAlpha()
+    .extend({
+      right: width - imageWidth,
+      bottom: height - imageHeight,
+      background: { r: 255, g: 255, b: 255, alpha: 0 },
+    })
+    .composite([
+      ...(masks.length
+        ? [
+            {
+              input: Buffer.from(
+                createHatchOverlay(masks, { width, height, deviceScaleFactor })
+              ),
+              top: 0,
+              left: 0,
+            },
+          ]
+        : []),
+      { input: Buffer.from(svg), top: 0, left: 0 },
+    ])
+    .png()
+    .toFile(outputPath);
+}
+
+module.exports = {
+  findDiffRegions,
+  formatRegion,
+  writeAnnotatedImage,
+};
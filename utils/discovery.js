@@ -0,0 +1,232 @@
+const fs = require("fs");
+const { matchesPattern } = require("./masking.js");
+const { normalizeBaseUrl, joinUrl } = require("./urlMapping.js");
+
+// Used for anything config.js "discovery" does not set
+const DEFAULT_DISCOVERY = {
+  sitemaps: ["/sitemap.xml"],
+  crawl: true,
+  maxDepth: 2,
+  maxPages: 500,
+  include: ["*"],
+  exclude: [],
+  timeout: 30000,
+};
+
+// Decode the XML entities that appear in sitemap <loc> values
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Read the <loc> entries of a sitemap. A sitemap index lists further
+// sitemaps instead of pages, reported separately so they can be followed.
+function parseSitemap(xml) {
+  const locations = Array.from(
+    xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi),
+    (match) => decodeXml(match[1])
+  );
+  return /<sitemapindex[\s>]/i.test(xml)
+    ? { pages: [], sitemaps: locations }
+    : { pages: locations, sitemaps: [] };
+}
+
+// Absolute URLs of every <a href> in an HTML document
+function extractLinks(html, pageUrl) {
+  const links = [];
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"'#]*)/gi)) {
+    const href = decodeXml(match[1].trim());
+    if (!href || /^(mailto|tel|javascript):/i.test(href)) continue;
+    try {
+      links.push(new URL(href, pageUrl).href);
+    } catch (error) {
+      // Malformed href; nothing to follow
+    }
+  }
+  return links;
+}
+
+// Site-relative path of a same-origin URL, resolved against `baseUrl` when
+// relative, or null for other origins and malformed URLs
+function toSitePath(url, origin, baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(url, baseUrl);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.origin !== origin) return null;
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+// Whether a discovered path passes the include/exclude rules
+function isAllowed(pagePath, { include, exclude }) {
+  return (
+    include.some((pattern) => matchesPattern(pagePath, pattern)) &&
+    !exclude.some((pattern) => matchesPattern(pagePath, pattern))
+  );
+}
+
+// Fetch a URL through a Playwright APIRequestContext, returning null on
+// network errors, non-2xx responses and redirects to another origin
+async function fetchText(request, url, { origin, timeout }) {
+  try {
+    const response = await request.get(url, { timeout });
+    if (!response.ok() || new URL(response.url()).origin !== origin) {
+      return null;
+    }
+    return {
+      text: await response.text(),
+      contentType: response.headers()["content-type"] || "",
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the page list of one environment from its sitemaps and/or a
+// same-origin breadth-first crawl from the home page. Crawled pages are
+// only recorded once they load (2xx, not redirected off-site). Returns the
+// sorted site-relative paths plus where each was found.
+async function discoverEnvironment(request, baseUrl, options = {}) {
+  const settings = { ...DEFAULT_DISCOVERY, ...options };
+  const root = normalizeBaseUrl(baseUrl);
+  const origin = new URL(root).origin;
+  const found = new Map();
+
+  const add = (pagePath, source) => {
+    if (found.size >= settings.maxPages || found.has(pagePath)) return false;
+    if (!isAllowed(pagePath, settings)) return false;
+    found.set(pagePath, source);
+    return true;
+  };
+
+  if (settings.sitemaps.length) {
+    const queue = settings.sitemaps.map((sitemap) => joinUrl(root, sitemap));
+    const seen = new Set();
+    while (queue.length && found.size < settings.maxPages) {
+      const sitemapUrl = queue.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      const response = await fetchText(request, sitemapUrl, {
+        origin,
+        timeout: settings.timeout,
+      });
+      if (!response) continue;
+
+      const { pages, sitemaps } = parseSitemap(response.text);
+      queue.push(...sitemaps);
+      pages.forEach((url) => {
+        const pagePath = toSitePath(url, origin, sitemapUrl);
+        if (pagePath) add(pagePath, "sitemap");
+      });
+    }
+  }
+
+  if (settings.crawl) {
+    let frontier = ["/"];
+    const visited = new Set();
+    for (let depth = 0; depth <= settings.maxDepth; depth++) {
+      const next = [];
+      for (const pagePath of frontier) {
+        if (visited.has(pagePath)) continue;
+        if (found.size >= settings.maxPages) break;
+        visited.add(pagePath);
+
+        const pageUrl = joinUrl(root, pagePath);
+        const response = await fetchText(request, pageUrl, {
+          origin,
+          timeout: settings.timeout,
+        });
+        if (!response) continue;
+        add(pagePath, "crawl");
+        if (
+          depth === settings.maxDepth ||
+          !response.contentType.includes("html")
+        ) {
+          continue;
+        }
+
+        extractLinks(response.text, pageUrl).forEach((url) => {
+          const linkPath = toSitePath(url, origin, pageUrl);
+          if (
+            linkPath &&
+            !visited.has(linkPath) &&
+            isAllowed(linkPath, settings)
+          ) {
+            next.push(linkPath);
+          }
+        });
+      }
+      frontier = next;
+    }
+  }
+
+  return {
+    paths: Array.from(found.keys()).sort(),
+    sources: Object.fromEntries(found),
+  };
+}
+
+// Compare the page lists discovered on staging and prod
+function diffDiscovered(stagingPaths, prodPaths) {
+  const prodSet = new Set(prodPaths);
+  const stagingSet = new Set(stagingPaths);
+  return {
+    both: stagingPaths.filter((pagePath) => prodSet.has(pagePath)),
+    stagingOnly: stagingPaths.filter((pagePath) => !prodSet.has(pagePath)),
+    prodOnly: prodPaths.filter((pagePath) => !stagingSet.has(pagePath)),
+  };
+}
+
+// Format a list of URLs as the body of a config.js "urls" array
+function formatUrlArray(urls, indent) {
+  return `[\n${urls
+    .map((url) => `${indent}  ${JSON.stringify(url)}`)
+    .join(",\n")}\n${indent}]`;
+}
+
+// Replace the "urls" arrays of the staging and prod sections of config.js
+// in place, leaving the rest of the file (and its comments) untouched.
+// Staging entries are paths; prod entries are absolute URLs, as today.
+function writeUrlsToConfig(
+  configPath,
+  { stagingPaths, prodPaths, prodBaseUrl }
+) {
+  let source = fs.readFileSync(configPath, "utf-8");
+  const sections = {
+    staging: stagingPaths,
+    prod: prodPaths.map((pagePath) => joinUrl(prodBaseUrl, pagePath)),
+  };
+
+  Object.entries(sections).forEach(([section, urls]) => {
+    const pattern = new RegExp(
+      `("${section}"\\s*:\\s*\\{[\\s\\S]*?\\n(\\s*)"urls"\\s*:\\s*)\\[[\\s\\S]*?\\n\\s*\\]`
+    );
+    if (!pattern.test(source)) {
+      throw new Error(
+        `Could not find the ${section} "urls" list in ${configPath}`
+      );
+    }
+    source = source.replace(
+      pattern,
+      (match, prefix, indent) => `${prefix}${formatUrlArray(urls, indent)}`
+    );
+  });
+
+  fs.writeFileSync(configPath, source);
+}
+
+module.exports = {
+  DEFAULT_DISCOVERY,
+  parseSitemap,
+  extractLinks,
+  discoverEnvironment,
+  diffDiscovered,
+  writeUrlsToConfig,
+};
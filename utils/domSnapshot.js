@@ -0,0 +1,311 @@
+const fs = require("fs");
+
+// Elements worth tracking in a layout snapshot
+const SNAPSHOT_SELECTOR = [
+  "header",
+  "nav",
+  "main",
+  "footer",
+  "section",
+  "aside",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "p",
+  "img",
+  "picture",
+  "video",
+  "iframe",
+  "a",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "label",
+  "[role]",
+].join(", ");
+
+// Elements whose own text is compared; containers would only repeat it
+const TEXT_SELECTOR = "h1, h2, h3, h4, p, a, button, label, img";
+
+// Computed styles compared between environments
+const SNAPSHOT_STYLES = [
+  "display",
+  "visibility",
+  "color",
+  "backgroundColor",
+  "fontFamily",
+  "fontSize",
+  "fontWeight",
+];
+
+// Record selector, page-relative bounding box, text and key styles of the
+// visible elements on the current page. Elements are listed in document
+// order; `parent` is the index of the nearest recorded ancestor.
+async function captureDomSnapshot(page, { maxElements = 2000 } = {}) {
+  return page.evaluate(
+    ({ selector, textSelector, styles, maxElements }) => {
+      const describe = (element) => {
+        let name = element.tagName.toLowerCase();
+        if (element.id) return `${name}#${element.id}`;
+        const classes = Array.from(element.classList).slice(0, 2);
+        if (classes.length) name += `.${classes.join(".")}`;
+        return name;
+      };
+
+      // Same-origin URLs are stored as paths so both environments match
+      const toPath = (value) => {
+        if (!value) return null;
+        const url = new URL(value, window.location.href);
+        return url.origin === window.location.origin
+          ? `${url.pathname}${url.search}`
+          : url.href;
+      };
+
+      const elements = [];
+      const indexes = new Map();
+
+      for (const element of document.querySelectorAll(selector)) {
+        if (elements.length >= maxElements) break;
+
+        const rect = element.getBoundingClientRect();
+        const computed = window.getComputedStyle(element);
+        if (
+          rect.width === 0 ||
+          rect.height === 0 ||
+          computed.visibility === "hidden"
+        ) {
+          continue;
+        }
+
+        let parent = null;
+        let parentSelector = "";
+        let node = element.parentElement;
+        for (; node; node = node.parentElement) {
+          if (parent === null && indexes.has(node)) parent = indexes.get(node);
+          if (!parentSelector && (node.id || node.classList.length)) {
+            parentSelector = describe(node);
+          }
+          if (parent !== null && parentSelector) break;
+        }
+
+        const keyStyles = {};
+        styles.forEach((style) => {
+          keyStyles[style] = computed[style];
+        });
+
+        indexes.set(element, elements.length);
+        elements.push({
+          selector: parentSelector
+            ? `${parentSelector} ${describe(element)}`
+            : describe(element),
+          parent,
+          box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          },
+          text: element.matches(textSelector)
+            ? (element.innerText || element.getAttribute("alt") || "")
+                .replace(/\s+/g, " ")
+                .trim()
+                .slice(0, 200)
+            : "",
+          src: toPath(element.currentSrc || element.getAttribute("src")),
+          styles: keyStyles,
+        });
+      }
+
+      return {
+        url: window.location.href,
+        pageSize: {
+          width: document.documentElement.scrollWidth,
+          height: document.documentElement.scrollHeight,
+        },
+        elements,
+      };
+    },
+    {
+      selector: SNAPSHOT_SELECTOR,
+      textSelector: TEXT_SELECTOR,
+      styles: SNAPSHOT_STYLES,
+      maxElements,
+    }
+  );
+}
+
+// Path of the DOM snapshot stored next to a screenshot
+function getDomSnapshotPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/, ".dom.json");
+}
+
+// Read a stored DOM snapshot, or null when the capture did not produce one
+function readDomSnapshot(snapshotPath) {
+  if (!fs.existsSync(snapshotPath)) return null;
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf-8"));
+}
+
+// Give every element a key that is stable between environments: its
+// selector, plus an occurrence number when the selector repeats
+function keyElements(snapshot) {
+  const seen = new Map();
+  return snapshot.elements.map((element, index) => {
+    const count = (seen.get(element.selector) || 0) + 1;
+    seen.set(element.selector, count);
+    return {
+      ...element,
+      index,
+      key: count === 1 ? element.selector : `${element.selector} (${count})`,
+    };
+  });
+}
+
+// Match the elements of two DOM snapshots by key and list element-level
+// changes: missing elements, text, position, size and style differences.
+// The labels name the two captures in messages (e.g. a baseline version).
+// Shifts inherited from a parent that moved by the same amount are skipped
+// so one pushed-down section is not reported once per child.
+function compareDomSnapshots(
+  staging,
+  prod,
+  { positionTolerance = 2, stagingLabel = "staging", prodLabel = "prod" } = {}
+) {
+  const stagingElements = keyElements(staging);
+  const prodElements = keyElements(prod);
+  const prodByKey = new Map(
+    prodElements.map((element) => [element.key, element])
+  );
+  const stagingKeys = new Set(stagingElements.map((element) => element.key));
+  const shifts = new Map();
+  const changes = [];
+
+  stagingElements.forEach((element) => {
+    const match = prodByKey.get(element.key);
+    if (!match) {
+      changes.push({
+        type: "missing",
+        selector: element.key,
+        message: `${element.key} missing on ${prodLabel}`,
+      });
+      return;
+    }
+
+    if (element.text !== match.text) {
+      changes.push({
+        type: "text",
+        selector: element.key,
+        message: `${element.key} text differs`,
+        staging: element.text,
+        prod: match.text,
+      });
+    }
+
+    if (element.src !== match.src) {
+      changes.push({
+        type: "source",
+        selector: element.key,
+        message: `${element.key} source differs`,
+        staging: element.src,
+        prod: match.src,
+      });
+    }
+
+    const dx = match.box.x - element.box.x;
+    const dy = match.box.y - element.box.y;
+    shifts.set(element.index, { dx, dy });
+    const parentShift =
+      element.parent !== null ? shifts.get(element.parent) : null;
+    const inherited =
+      parentShift &&
+      Math.abs(parentShift.dx - dx) <= positionTolerance &&
+      Math.abs(parentShift.dy - dy) <= positionTolerance;
+
+    if (
+      !inherited &&
+      (Math.abs(dx) > positionTolerance || Math.abs(dy) > positionTolerance)
+    ) {
+      const moves = [];
+      if (Math.abs(dy) > positionTolerance) {
+        moves.push(`${Math.abs(dy)}px ${dy > 0 ? "down" : "up"}`);
+      }
+      if (Math.abs(dx) > positionTolerance) {
+        moves.push(`${Math.abs(dx)}px ${dx > 0 ? "right" : "left"}`);
+      }
+      changes.push({
+        type: "moved",
+        selector: element.key,
+        message: `${element.key} shifted ${moves.join(" and ")}`,
+        dx,
+        dy,
+      });
+    }
+
+    const dw = match.box.width - element.box.width;
+    const dh = match.box.height - element.box.height;
+    if (Math.abs(dw) > positionTolerance || Math.abs(dh) > positionTolerance) {
+      changes.push({
+        type: "resized",
+        selector: element.key,
+        message: `${element.key} resized from ${element.box.width}x${
+          element.box.height
+        } to ${match.box.width}x${match.box.height}`,
+      });
+    }
+
+    const styleChanges = Object.keys(element.styles).filter(
+      (style) => element.styles[style] !== match.styles[style]
+    );
+    if (styleChanges.length) {
+      changes.push({
+        type: "style",
+        selector: element.key,
+        message: `${element.key} style differs (${styleChanges
+          .map(
+            (style) =>
+              `${style}: ${element.styles[style]} → ${match.styles[style]}`
+          )
+          .join(", ")})`,
+      });
+    }
+  });
+
+  prodElements
+    .filter((element) => !stagingKeys.has(element.key))
+    .forEach((element) => {
+      changes.push({
+        type: "missing",
+        selector: element.key,
+        message: `${element.key} missing on ${stagingLabel}`,
+      });
+    });
+
+  return changes;
+}
+
+// The innermost elements of a snapshot that overlap a region given in page
+// coordinates, so pixel regions can be named after what they cover
+function findElementsInRegion(snapshot, area, limit = 3) {
+  const overlapping = keyElements(snapshot).filter(
+    ({ box }) =>
+      box.x < area.x + area.width &&
+      box.x + box.width > area.x &&
+      box.y < area.y + area.height &&
+      box.y + box.height > area.y
+  );
+  const parents = new Set(overlapping.map((element) => element.parent));
+  return overlapping
+    .filter((element) => !parents.has(element.index))
+    .slice(0, limit)
+    .map((element) => element.key);
+}
+
+module.exports = {
+  captureDomSnapshot,
+  getDomSnapshotPath,
+  readDomSnapshot,
+  compareDomSnapshots,
+  findElementsInRegion,
+};
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const sharp = require("sharp");
+const { escapeXml } = require("./resultsExport.js");
+
+// Used for anything config.js "email" does not set
+const DEFAULT_EMAIL = {
+  enabled: false,
+  onlyOnFailure: true, // Skip the email when every page passed
+  from: "Visual Comparison <visual-tests@localhost>",
+  to: [],
+  subjectPrefix: "[Visual Comparison]",
+  smtp: { host: "localhost", port: 1025, secure: false },
+  worstPages: 5, // Pages shown with a diff thumbnail
+  thumbnailWidth: 300, // In px
+  attachReports: true,
+  maxAttachmentMb: 10, // Larger reports are linked by name only
+};
+
+// config.js "email" settings with SMTP credentials taken from SMTP_USER /
+// SMTP_PASSWORD when set, so passwords can stay out of the repository
+function getEmailSettings(config) {
+  const settings = { ...DEFAULT_EMAIL, ...config.email };
+  const smtp = { ...DEFAULT_EMAIL.smtp, ...settings.smtp };
+  if (process.env.SMTP_USER) {
+    smtp.auth = {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD || "",
+    };
+  }
+  return { ...settings, smtp };
+}
+
+// Whether a run summary warrants an email under the given settings
+function shouldSendEmail(runSummary, settings) {
+  if (!settings.enabled || !settings.to.length) return false;
+  if (!runSummary.devices.length) return false;
+  const { failed, errors } = runSummary.totals;
+  return !settings.onlyOnFailure || failed + errors > 0;
+}
+
+// Subject line: overall outcome plus the counts
+function getEmailSubject(runSummary, settings) {
+  const { total, passed, failed, errors } = runSummary.totals;
+  const outcome = failed + errors ? "FAILED" : "Passed";
+  return `${settings.subjectPrefix} ${outcome}: ${passed}/${total} passed, ${failed} failed, ${errors} errors`;
+}
+
+// Small PNG of a diff image for inline display
+async function createThumbnail(imagePath, width) {
+  return sharp(imagePath)
+    .resize({ width, withoutEnlargement: true })
+    .png()
+    .toBuffer();
+}
+
+// Build the nodemailer message for a run summary: per-device counts, the
+// worst-scoring pages with inline diff thumbnails and the HTML reports
+// attached (when they are small enough to send)
+async function buildRunEmail(runSummary, settings) {
+  const attachments = [];
+  const maxBytes = settings.maxAttachmentMb * 1024 * 1024;
+
+  const deviceRows = runSummary.devices
+    .map(({ device, summary, reportPath }) => {
+      let reportNote = "Not generated";
+      if (reportPath) {
+        const tooLarge = fs.statSync(reportPath).size > maxBytes;
+        if (settings.attachReports && !tooLarge) {
+          attachments.push({
+            filename: path.basename(reportPath),
+            path: reportPath,
+          });
+          reportNote = "Attached";
+        } else {
+          reportNote = tooLarge ? "Too large to attach" : "Not attached";
+        }
+      }
+      return `<tr><td>${escapeXml(device)}</td><td>${summary.total}</td><td>${
+        summary.passed
+      }</td><td>${summary.failed}</td><td>${summary.errors}</td><td>${reportNote}: ${escapeXml(
+        reportPath || ""
+      )}</td></tr>`;
+    })
+    .join("");
+
+  const worstPages = runSummary.worst.slice(0, settings.worstPages);
+  const worstRows = [];
+  for (const [i, page] of worstPages.entries()) {
+    let thumbnail = "No diff image";
+    if (page.diffPath) {
+      const cid = `diff-${i}@visual-comparison`;
+      attachments.push({
+        filename: `diff-${i + 1}.png`,
+        content: await createThumbnail(page.diffPath, settings.thumbnailWidth),
+        cid,
+      });
+      thumbnail = `<img src="cid:${cid}" width="${settings.thumbnailWidth}" alt="Diff">`;
+    }
+    const score =
+      typeof page.similarityPercentage === "number"
+        ? `${page.similarityPercentage.toFixed(2)}%`
+        : escapeXml(page.error || "Error");
+    worstRows.push(
+      `<tr><td>${escapeXml(page.device)}</td><td>${escapeXml(page.pagePath)}${
+        page.environment ? ` (${escapeXml(page.environment)})` : ""
+      }</td><td>${page.status}</td><td>${score}</td><td>${thumbnail}</td></tr>`
+    );
+  }
+
+  const html = `
+    <h2>Visual Comparison Results</h2>
+    <p>Passed: <strong>${runSummary.totals.passed}</strong> | Failed: <strong>${
+      runSummary.totals.failed
+    }</strong> | Errors: <strong>${runSummary.totals.errors}</strong> of ${
+      runSummary.totals.total
+    } pages</p>
+    ${
+      runSummary.missing.length
+        ? `<p>No results for: ${escapeXml(runSummary.missing.join(", "))}</p>`
+        : ""
+    }
+    <table border="1" cellpadding="6" cellspacing="0">
+      <tr><th>Device</th><th>Pages</th><th>Passed</th><th>Failed</th><th>Errors</th><th>Report</th></tr>
+      ${deviceRows}
+    </table>
+    ${
+      worstRows.length
+        ? `<h3>Worst pages</h3>
+    <table border="1" cellpadding="6" cellspacing="0">
+      <tr><th>Device</th><th>Page</th><th>Status</th><th>Similarity</th><th>Diff</th></tr>
+      ${worstRows.join("")}
+    </table>`
+        : ""
+    }
+  `;
+
+  const text = [
+    getEmailSubject(runSummary, settings),
+    ...runSummary.devices.map(
+      ({ device, summary }) =>
+        `${device}: ${summary.passed}/${summary.total} passed, ${summary.failed} failed, ${summary.errors} errors`
+    ),
+    ...worstPages.map(
+      (page) =>
+        `Worst: ${page.device} ${page.pagePath} ${page.status} ${
+          typeof page.similarityPercentage === "number"
+            ? `${page.similarityPercentage.toFixed(2)}%`
+            : page.error || ""
+        }`
+    ),
+  ].join("\n");
+
+  return {
+    from: settings.from,
+    to: settings.to.join(", "),
+    subject: getEmailSubject(runSummary, settings),
+    text,
+    html,
+    attachments,
+  };
+}
+
+// Send the run email over SMTP. Resolves with nodemailer's info object.
+async function sendRunEmail(runSummary, settings) {
+  const transport = nodemailer.createTransport(settings.smtp);
+  try {
+    return await transport.sendMail(await buildRunEmail(runSummary, settings));
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_EMAIL,
+  getEmailSettings,
+  shouldSendEmail,
+  getEmailSubject,
+  buildRunEmail,
+  sendRunEmail,
+};
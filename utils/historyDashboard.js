@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const { escapeXml } = require("./resultsExport.js");
+const { loadRuns, diffRuns, buildTrends } = require("./runHistory.js");
+
+// Inline SVG line of a page's similarity over the runs; missing scores
+// (errors) are drawn as red dots on the baseline
+function sparkline(points, width = 160, height = 30) {
+  const scores = points
+    .map((point) => point.similarity)
+    .filter((score) => score !== null);
+  const min = Math.min(...scores, 90);
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const y = (score) =>
+    score === null
+      ? height - 2
+      : 2 + ((100 - score) / Math.max(100 - min, 0.01)) * (height - 4);
+  const line = points
+    .map((point, i) =>
+      point.similarity === null
+        ? null
+        : `${(i * step).toFixed(1)},${y(point.similarity).toFixed(1)}`
+    )
+    .filter(Boolean)
+    .join(" ");
+  const errors = points
+    .map((point, i) =>
+      point.similarity === null
+        ? `<circle cx="${(i * step).toFixed(1)}" cy="${y(null)}" r="2" fill="red"/>`
+        : ""
+    )
+    .join("");
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${line}" fill="none" stroke="steelblue" stroke-width="1.5"/>${errors}</svg>`;
+}
+
+// Coloured dot per run, oldest first
+function statusDots(points) {
+  return points
+    .map(
+      (point) =>
+        `<span class="dot dot-${point.status.toLowerCase()}" title="${
+          point.runId
+        }: ${point.status}${
+          point.similarity !== null ? ` ${point.similarity.toFixed(2)}%` : ""
+        }"></span>`
+    )
+    .join("");
+}
+
+function formatScore(page) {
+  if (!page) return "—";
+  return page.similarity !== null
+    ? `${page.similarity.toFixed(2)}% (${page.status})`
+    : page.status;
+}
+
+// Link to the diff image of a stored page, if it has one
+function diffLink(page) {
+  const diff = page && page.images.find((image) => image.label === "Diff");
+  return diff ? `<a href="${diff.path}" target="_blank">Diff</a>` : "";
+}
+
+// Write the trend dashboard (index.html in the history directory) from
+// every stored run: runs overview, newly failing and flaky pages, changes
+// since the previous run and a similarity sparkline for every page
+function generateHistoryDashboard(settings) {
+  const runs = loadRuns(settings);
+  const reportPath = path.join(settings.dir, "index.html");
+  if (!runs.length) return null;
+
+  const { series, newlyFailing, flaky } = buildTrends(runs, settings);
+  const latest = runs[runs.length - 1];
+  const previous = runs[runs.length - 2];
+  const changes = previous ? diffRuns(previous, latest) : [];
+
+  const runRows = [...runs]
+    .reverse()
+    .map(
+      (run) =>
+        `<tr><td>${run.runId}</td>${Object.entries(run.devices)
+          .map(
+            ([device, summary]) =>
+              `<td>${escapeXml(device)}: ${summary.passed}/${
+                summary.total
+              } passed, <span class="status-fail">${
+                summary.failed
+              }</span> failed, <span class="status-error">${
+                summary.errors
+              }</span> errors</td>`
+          )
+          .join("")}</tr>`
+    )
+    .join("");
+
+  const newlyFailingRows = newlyFailing
+    .map(
+      (key) =>
+        `<tr><td>${escapeXml(key)}</td><td>${formatScore(
+          previous.pages[key]
+        )}</td><td>${formatScore(latest.pages[key])}</td><td>${diffLink(
+          latest.pages[key]
+        )}</td></tr>`
+    )
+    .join("");
+
+  const flakyRows = flaky
+    .map(
+      ({ key, flips }) =>
+        `<tr><td>${escapeXml(key)}</td><td>${flips}</td><td>${statusDots(
+          series[key]
+        )}</td></tr>`
+    )
+    .join("");
+
+  const changeRows = changes
+    .map(
+      ({ key, from, to }) =>
+        `<tr><td>${escapeXml(key)}</td><td>${formatScore(
+          from
+        )}</td><td>${formatScore(to)}</td><td>${diffLink(to)}</td></tr>`
+    )
+    .join("");
+
+  // Pages with the lowest latest score first
+  const latestScore = (points) => {
+    const last = points[points.length - 1];
+    return last.similarity === null ? -1 : last.similarity;
+  };
+  const trendRows = Object.entries(series)
+    .sort(([, a], [, b]) => latestScore(a) - latestScore(b))
+    .map(
+      ([key, points]) =>
+        `<tr><td>${escapeXml(key)}</td><td>${sparkline(
+          points
+        )}</td><td>${statusDots(points)}</td><td>${formatScore(
+          latest.pages[key]
+        )}</td></tr>`
+    )
+    .join("");
+
+  const section = (title, headers, rows, empty) => `
+      <h2>${title}</h2>
+      ${
+        rows
+          ? `<table><thead><tr>${headers
+              .map((header) => `<th>${header}</th>`)
+              .join("")}</tr></thead><tbody>${rows}</tbody></table>`
+          : `<p class="empty">${empty}</p>`
+      }`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison History</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { border: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: middle; font-size: 14px; }
+        th { background-color: #f2f2f2; }
+        .empty { text-align: center; color: #666; }
+        .status-fail { color: red; font-weight: bold; }
+        .status-error { color: orange; font-weight: bold; }
+        .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 2px; }
+        .dot-pass { background: green; }
+        .dot-fail { background: red; }
+        .dot-error { background: orange; }
+        code { background: #f2f2f2; padding: 2px 4px; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison History</h1>
+      <div class="summary">
+        <p>${runs.length} stored run(s), latest <strong>${
+          latest.runId
+        }</strong></p>
+        <p>Compare any two runs: <code>npm run history -- --from ${
+          runs[0].runId
+        } --to ${latest.runId}</code></p>
+        <a href="../visual_comparison_report_index.html">All Reports</a>
+      </div>
+      ${section(
+        "Newly Failing",
+        ["Page", "Previous Run", "Latest Run", "Image"],
+        newlyFailingRows,
+        "No page started failing in the latest run."
+      )}
+      ${section(
+        `Flaky Pages (last ${settings.flakyWindow} runs)`,
+        ["Page", "Status Changes", "History"],
+        flakyRows,
+        "No flaky pages."
+      )}
+      ${section(
+        previous
+          ? `Changes Since ${previous.runId}`
+          : "Changes Since Previous Run",
+        ["Page", "Previous Run", "Latest Run", "Image"],
+        changeRows,
+        previous ? "Nothing changed." : "Only one run stored so far."
+      )}
+      ${section(
+        "Similarity Over Time",
+        ["Page", "Similarity", "History", "Latest"],
+        trendRows,
+        "No pages recorded."
+      )}
+      ${section("Runs", ["Run", "Results"], runRows, "")}
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+  return reportPath;
+}
+
+module.exports = {
+  generateHistoryDashboard,
+};
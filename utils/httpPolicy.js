@@ -0,0 +1,82 @@
+// Used for anything config.js "http" does not set
+const DEFAULT_HTTP = {
+  headers: {}, // Extra headers sent with every page and asset request
+  auth: null, // { environment, username, password } for basic auth
+  retries: 2, // Extra attempts after a failed asset request
+  retryDelay: 1000, // Wait before the first retry, doubled for each next one
+  retryStatuses: [429, 502, 503, 504], // Statuses worth another attempt
+};
+
+// config.js "http" settings with the basic-auth credentials taken from
+// HTTP_AUTH_USER / HTTP_AUTH_PASSWORD when set, so passwords can stay out
+// of the repository
+function getHttpSettings(config) {
+  const settings = { ...DEFAULT_HTTP, ...config.http };
+  const auth = {
+    environment: "staging",
+    ...settings.auth,
+    ...(process.env.HTTP_AUTH_USER && {
+      username: process.env.HTTP_AUTH_USER,
+    }),
+    ...(process.env.HTTP_AUTH_PASSWORD && {
+      password: process.env.HTTP_AUTH_PASSWORD,
+    }),
+  };
+  return { ...settings, auth: auth.username ? auth : null };
+}
+
+// Browser/request context options carrying the shared headers and the
+// basic-auth credentials, which are only sent to the origin of the
+// environment they belong to. Every APIRequestContext derived from such a
+// context (page.request) sends the same headers and credentials.
+function getContextHttpOptions(config) {
+  const { headers, auth } = getHttpSettings(config);
+  const options = {};
+  if (Object.keys(headers).length) options.extraHTTPHeaders = headers;
+  if (auth) {
+    options.httpCredentials = {
+      username: auth.username,
+      password: auth.password || "",
+      origin: new URL(config[auth.environment].baseUrl).origin,
+    };
+  }
+  return options;
+}
+
+// Retry part of the settings, as passed to fetchWithRetry
+function getRetryPolicy(config) {
+  const { retries, retryDelay, retryStatuses } = getHttpSettings(config);
+  return { retries, retryDelay, retryStatuses };
+}
+
+// APIRequestContext.fetch that retries network errors and retryable
+// statuses with a doubling delay. Resolves with the last response or
+// rejects with the last error once the retries are used up.
+async function fetchWithRetry(request, url, options = {}, retry = {}) {
+  const { retries = 0, retryDelay = 0, retryStatuses = [] } = retry;
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await request.fetch(url, options);
+    } catch (error) {
+      if (attempt >= retries) throw error;
+    }
+    if (
+      response &&
+      (attempt >= retries || !retryStatuses.includes(response.status()))
+    ) {
+      return response;
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, retryDelay * 2 ** attempt)
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_HTTP,
+  getHttpSettings,
+  getContextHttpOptions,
+  getRetryPolicy,
+  fetchWithRetry,
+};
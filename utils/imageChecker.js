@@ -0,0 +1,180 @@
+const { fetchWithRetry } = require("./httpPolicy.js");
+const { matchesPattern } = require("./masking.js");
+const { runPool } = require("./pool.js");
+
+// Used for anything config.js "imageCheck" does not set
+const DEFAULT_IMAGE_CHECK = {
+  concurrency: 8, // Images downloaded at once
+  timeout: 15000, // Per image request, in ms
+  loadTimeout: 10000, // Longest wait for images to load in the browser, in ms
+  skip: [], // URL patterns never checked ("*" matches anything)
+  retry: {}, // fetchWithRetry policy; no retries by default
+};
+
+// Problems an image can have, in the order they are reported
+const IMAGE_PROBLEMS = {
+  "missing-src": "No src attribute",
+  "client-error": "HTTP 4xx",
+  "server-error": "HTTP 5xx",
+  timeout: "Timed out",
+  "network-error": "Request failed",
+  "content-type": "Not an image content-type",
+  empty: "Zero-byte response",
+  "not-decoded": "Did not decode in the browser",
+};
+
+// Images embedded in the page (data: URIs) or created by its scripts
+// (blob: URLs) cannot be downloaded; only the browser's decode state counts
+const INLINE_URL = /^(data|blob):/i;
+
+// Content type of a data: URI, e.g. "image/svg+xml"
+function getInlineContentType(url) {
+  return /^data:/i.test(url) ? url.slice(5).split(/[;,]/)[0] || null : null;
+}
+
+// Every <img> of the page with the URL the browser picked (currentSrc, so
+// srcset choices are covered) and whether it loaded and decoded
+// (naturalWidth is 0 for a broken or undecodable image)
+async function collectPageImages(page) {
+  return page.evaluate(() =>
+    Array.from(document.images).map((image, i) => {
+      const src = image.getAttribute("src");
+      return {
+        index: i + 1,
+        src,
+        url: image.currentSrc || (src ? image.src : null),
+        alt: image.getAttribute("alt"),
+        complete: image.complete,
+        naturalWidth: image.naturalWidth,
+      };
+    })
+  );
+}
+
+// Download an image and classify the response: 4xx, 5xx, timeout, network
+// failure, a content-type other than image/* or an empty body. Redirects are
+// followed and transient failures retried per `options.retry`. Returns
+// `problem: null` for a good image.
+async function checkImageUrl(request, url, options = DEFAULT_IMAGE_CHECK) {
+  let response;
+  try {
+    response = await fetchWithRetry(
+      request,
+      url,
+      { timeout: options.timeout },
+      options.retry
+    );
+  } catch (error) {
+    const message = error.message.split("\n")[0];
+    return {
+      url,
+      status: null,
+      contentType: null,
+      bytes: null,
+      problem: /timed? ?out/i.test(message) ? "timeout" : "network-error",
+      error: message,
+    };
+  }
+
+  const status = response.status();
+  const contentType = (response.headers()["content-type"] || "").split(";")[0];
+  const bytes = status < 400 ? (await response.body()).length : null;
+  let problem = null;
+  let error = null;
+  if (status >= 400) {
+    problem = status >= 500 ? "server-error" : "client-error";
+    error = `HTTP ${status}`;
+  } else if (!contentType.startsWith("image/")) {
+    problem = "content-type";
+    error = `${IMAGE_PROBLEMS[problem]} (${contentType || "none"})`;
+  } else if (bytes === 0) {
+    problem = "empty";
+    error = IMAGE_PROBLEMS[problem];
+  }
+
+  return { url, status, contentType, bytes, problem, error };
+}
+
+// Image checker that downloads every image URL once per run, so logos and
+// other images shared by many pages are requested once. `checkPage` takes
+// the output of collectPageImages and returns one entry per checked image,
+// combining the download result with the browser's decode state.
+function createImageChecker(request, settings = {}) {
+  const options = { ...DEFAULT_IMAGE_CHECK, ...settings };
+  const cache = new Map();
+
+  const check = (url) => {
+    if (!cache.has(url)) cache.set(url, checkImageUrl(request, url, options));
+    return cache.get(url);
+  };
+
+  const checkPage = async (images) => {
+    const toCheck = images.filter(
+      ({ url }) =>
+        !url || !options.skip.some((pattern) => matchesPattern(url, pattern))
+    );
+    const results = await runPool(
+      toCheck,
+      options.concurrency,
+      async (image) => {
+        if (!image.url) {
+          return {
+            ...image,
+            status: null,
+            contentType: null,
+            bytes: null,
+            problem: "missing-src",
+            error: IMAGE_PROBLEMS["missing-src"],
+          };
+        }
+        const result = INLINE_URL.test(image.url)
+          ? {
+              ...image,
+              status: null,
+              contentType: getInlineContentType(image.url),
+              bytes: null,
+              problem: null,
+              error: null,
+            }
+          : { ...image, ...(await check(image.url)) };
+        // SVGs without intrinsic dimensions legitimately report 0
+        const decoded =
+          result.naturalWidth > 0 || result.contentType === "image/svg+xml";
+        if (!result.problem && !decoded) {
+          result.problem = "not-decoded";
+          result.error = result.complete
+            ? IMAGE_PROBLEMS["not-decoded"]
+            : `${IMAGE_PROBLEMS["not-decoded"]} (still loading)`;
+        }
+        return result;
+      }
+    );
+    return { results, skipped: images.length - toCheck.length };
+  };
+
+  return { check, checkPage, cacheSize: () => cache.size };
+}
+
+// Per-page summary used by the image report
+function summarizeImages(pageUrl, { results, skipped }) {
+  const broken = results.filter((result) => result.problem);
+  return {
+    pageUrl,
+    checked: results.length,
+    skipped,
+    broken,
+    byProblem: broken.reduce((counts, result) => {
+      counts[result.problem] = (counts[result.problem] || 0) + 1;
+      return counts;
+    }, {}),
+  };
+}
+
+module.exports = {
+  DEFAULT_IMAGE_CHECK,
+  IMAGE_PROBLEMS,
+  collectPageImages,
+  checkImageUrl,
+  createImageChecker,
+  summarizeImages,
+};
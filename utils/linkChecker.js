@@ -0,0 +1,203 @@
+const { fetchWithRetry } = require("./httpPolicy.js");
+const { matchesPattern } = require("./masking.js");
+const { runPool } = require("./pool.js");
+
+// Used for anything config.js "linkCheck" does not set
+const DEFAULT_LINK_CHECK = {
+  concurrency: 8, // URLs checked at once
+  timeout: 15000, // Per request, in ms
+  maxRedirects: 5, // Redirects followed before giving up
+  skip: [], // URL patterns never checked ("*" matches anything)
+  retry: {}, // fetchWithRetry policy; no retries by default
+};
+
+// Every URL a page depends on, by kind: anchors, stylesheets, scripts,
+// srcset candidates, CSS background images and iframes. URLs are absolute
+// and deduplicated per kind; fragments, mailto:, tel:, javascript: and
+// data: URLs are left out.
+async function collectPageLinks(page) {
+  return page.evaluate(() => {
+    const found = new Map();
+    const add = (kind, value) => {
+      if (!value) return;
+      let url;
+      try {
+        url = new URL(value.trim(), document.baseURI);
+      } catch (error) {
+        return;
+      }
+      if (!["http:", "https:"].includes(url.protocol)) return;
+      url.hash = "";
+      found.set(`${kind} ${url.href}`, { kind, url: url.href });
+    };
+    const srcsetUrls = (srcset) =>
+      srcset
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+
+    document.querySelectorAll("a[href]").forEach((element) => {
+      add("link", element.getAttribute("href"));
+    });
+    document
+      .querySelectorAll('link[rel~="stylesheet"][href]')
+      .forEach((element) => add("stylesheet", element.getAttribute("href")));
+    document.querySelectorAll("script[src]").forEach((element) => {
+      add("script", element.getAttribute("src"));
+    });
+    document.querySelectorAll("[srcset]").forEach((element) => {
+      srcsetUrls(element.getAttribute("srcset")).forEach((url) =>
+        add("srcset", url)
+      );
+    });
+    document.querySelectorAll("iframe[src]").forEach((element) => {
+      add("iframe", element.getAttribute("src"));
+    });
+    document.querySelectorAll("*").forEach((element) => {
+      const background = window.getComputedStyle(element).backgroundImage;
+      if (!background || background === "none") return;
+      for (const match of background.matchAll(/url\(["']?([^"')]+)["']?\)/g)) {
+        add("background", match[1]);
+      }
+    });
+
+    return Array.from(found.values());
+  });
+}
+
+// Request a URL without following redirects automatically so the chain can
+// be recorded. HEAD is tried first; a HEAD that fails or answers 4xx/5xx is
+// repeated as GET, since many servers mishandle HEAD. Returns the final
+// status, the redirect chain and the method that produced the answer.
+async function checkUrl(request, url, options = DEFAULT_LINK_CHECK) {
+  const redirects = [];
+  let currentUrl = url;
+
+  const send = async (method) => {
+    try {
+      return await fetchWithRetry(
+        request,
+        currentUrl,
+        { method, maxRedirects: 0, timeout: options.timeout },
+        options.retry
+      );
+    } catch (error) {
+      return { error };
+    }
+  };
+
+  for (let hop = 0; hop <= options.maxRedirects; hop++) {
+    let method = "HEAD";
+    let response = await send(method);
+    if (response.error || response.status() >= 400) {
+      method = "GET";
+      response = await send(method);
+    }
+    if (response.error) {
+      return {
+        url,
+        ok: false,
+        status: null,
+        error: response.error.message.split("\n")[0],
+        redirects,
+        finalUrl: currentUrl,
+        method,
+      };
+    }
+
+    const status = response.status();
+    const location = response.headers().location;
+    if (status >= 300 && status < 400 && location) {
+      redirects.push({ url: currentUrl, status });
+      try {
+        currentUrl = new URL(location, currentUrl).href;
+      } catch (error) {
+        return {
+          url,
+          ok: false,
+          status,
+          error: `Invalid redirect location "${location}"`,
+          redirects,
+          finalUrl: currentUrl,
+          method,
+        };
+      }
+      continue;
+    }
+
+    return {
+      url,
+      ok: status < 400,
+      status,
+      error: status < 400 ? null : `HTTP ${status}`,
+      redirects,
+      finalUrl: currentUrl,
+      method,
+    };
+  }
+
+  return {
+    url,
+    ok: false,
+    status: null,
+    error: `More than ${options.maxRedirects} redirects`,
+    redirects,
+    finalUrl: currentUrl,
+    method: "HEAD",
+  };
+}
+
+// Link checker that remembers every URL it has checked, so assets shared
+// by many pages (header links, stylesheets, scripts) are requested once
+// per run. `checkPage` returns one entry per link of the page.
+function createLinkChecker(request, settings = {}) {
+  const options = { ...DEFAULT_LINK_CHECK, ...settings };
+  const cache = new Map();
+
+  const check = (url) => {
+    if (!cache.has(url)) cache.set(url, checkUrl(request, url, options));
+    return cache.get(url);
+  };
+
+  const checkPage = async (links) => {
+    const toCheck = links.filter(
+      ({ url }) => !options.skip.some((pattern) => matchesPattern(url, pattern))
+    );
+    const results = await runPool(
+      toCheck,
+      options.concurrency,
+      async (link) => ({
+        ...link,
+        ...(await check(link.url)),
+      })
+    );
+    return { results, skipped: links.length - toCheck.length };
+  };
+
+  return { check, checkPage, cacheSize: () => cache.size };
+}
+
+// Per-page summary used by the link report
+function summarizeLinks(pageUrl, { results, skipped }) {
+  return {
+    pageUrl,
+    checked: results.length,
+    skipped,
+    broken: results.filter((result) => !result.ok),
+    redirected: results.filter(
+      (result) => result.ok && result.redirects.length
+    ),
+    byKind: results.reduce((counts, result) => {
+      counts[result.kind] = (counts[result.kind] || 0) + 1;
+      return counts;
+    }, {}),
+  };
+}
+
+module.exports = {
+  DEFAULT_LINK_CHECK,
+  collectPageLinks,
+  checkUrl,
+  createLinkChecker,
+  summarizeLinks,
+};
@@ -0,0 +1,133 @@
+// Convert a config.js URL pattern into a RegExp. "*" matches anything and
+// every other character is literal, so "/apply/?d=*" matches all program codes.
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Check whether a page path matches a config.js URL pattern
+function matchesPattern(pagePath, pattern) {
+  return patternToRegExp(pattern).test(pagePath);
+}
+
+// Merge the global ignore rules with every per-URL entry matching pagePath
+function getIgnoreRules(ignoreConfig = {}, pagePath) {
+  const rules = {
+    selectors: [...(ignoreConfig.selectors || [])],
+    rects: [...(ignoreConfig.rects || [])],
+  };
+
+  Object.entries(ignoreConfig.pages || {}).forEach(([pattern, pageRules]) => {
+    if (!matchesPattern(pagePath, pattern)) return;
+    rules.selectors.push(...(pageRules.selectors || []));
+    rules.rects.push(...(pageRules.rects || []));
+  });
+
+  return rules;
+}
+
+// Resolve ignore rules on the loaded page into rectangles in page (CSS)
+// coordinates: the boxes of every visible element matching an ignore
+// selector plus the fixed rectangles from config.js.
+async function collectMaskRects(page, rules) {
+  const elementRects = await page.evaluate((selectors) => {
+    const rects = [];
+    selectors.forEach((selector) => {
+      let elements = [];
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (error) {
+        return; // Invalid selector in config.js; nothing to mask
+      }
+      elements.forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        rects.push({
+          selector,
+          x: Math.floor(rect.left + window.scrollX),
+          y: Math.floor(rect.top + window.scrollY),
+          width: Math.ceil(rect.width),
+          height: Math.ceil(rect.height),
+        });
+      });
+    });
+    return rects;
+  }, rules.selectors);
+
+  return [...elementRects, ...rules.rects.map((rect) => ({ ...rect }))];
+}
+
+// Paint the masked rectangles in the same flat colour on every image so
+// they can never differ. Returns the number of pixels masked per image.
+function applyMasks(images, masks, deviceScaleFactor = 1) {
+  const { width, height } = images[0];
+  const covered = new Uint8Array(width * height);
+  let maskedPixels = 0;
+
+  masks.forEach((mask) => {
+    const x1 = Math.max(0, Math.floor(mask.x * deviceScaleFactor));
+    const y1 = Math.max(0, Math.floor(mask.y * deviceScaleFactor));
+    const x2 = Math.min(
+      width,
+      Math.ceil((mask.x + mask.width) * deviceScaleFactor)
+    );
+    const y2 = Math.min(
+      height,
+      Math.ceil((mask.y + mask.height) * deviceScaleFactor)
+    );
+
+    for (let y = y1; y < y2; y++) {
+      for (let x = x1; x < x2; x++) {
+        const pixel = y * width + x;
+        if (covered[pixel]) continue;
+        covered[pixel] = 1;
+        maskedPixels++;
+        images.forEach((image) => {
+          image.data[pixel * 4] = 128;
+          image.data[pixel * 4 + 1] = 128;
+          image.data[pixel * 4 + 2] = 128;
+          image.data[pixel * 4 + 3] = 255;
+        });
+      }
+    }
+  });
+
+  return maskedPixels;
+}
+
+// SVG overlay that hatches the masked rectangles, composited over the diff
+// and annotated images so reviewers can see what was ignored
+function createHatchOverlay(masks, { width, height, deviceScaleFactor = 1 }) {
+  const spacing = Math.round(8 * deviceScaleFactor);
+  const lineWidth = Math.max(1, Math.round(deviceScaleFactor));
+  const shapes = masks
+    .map((mask) => {
+      const x = Math.floor(mask.x * deviceScaleFactor);
+      const y = Math.floor(mask.y * deviceScaleFactor);
+      const w = Math.ceil(mask.width * deviceScaleFactor);
+      const h = Math.ceil(mask.height * deviceScaleFactor);
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="url(#hatch)" stroke="#555" stroke-dasharray="4"/>`;
+    })
+    .join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs>
+      <pattern id="hatch" width="${spacing}" height="${spacing}" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+        <rect width="${spacing}" height="${spacing}" fill="rgba(200,200,200,0.6)"/>
+        <line x1="0" y1="0" x2="0" y2="${spacing}" stroke="#555" stroke-width="${lineWidth}"/>
+      </pattern>
+    </defs>
+    ${shapes}
+  </svg>`;
+}
+
+module.exports = {
+  matchesPattern,
+  getIgnoreRules,
+  collectMaskRects,
+  applyMasks,
+  createHatchOverlay,
+};
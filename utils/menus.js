@@ -0,0 +1,111 @@
+// Used for anything config.js "menus" does not set
+const DEFAULT_MENUS = {
+  page: "/", // Page the menus are read from
+  linkSelector: "a.mega-menu-link", // Links inside an open submenu
+  items: [], // { name, trigger, submenu, links: [{ label, href }] }
+  mobile: null, // { descriptor, toggle, menu }
+};
+
+// Collapse whitespace so labels compare regardless of markup formatting
+function normalizeLabel(label) {
+  return (label || "").replace(/\s+/g, " ").trim();
+}
+
+// Site-relative target of a link on one of `origins`; links elsewhere keep
+// their absolute URL. Used to compare staging and prod menus.
+function toMenuTarget(href, origins) {
+  try {
+    const url = new URL(href);
+    return origins.includes(url.origin)
+      ? `${url.pathname}${url.search}`
+      : url.href;
+  } catch (error) {
+    return href;
+  }
+}
+
+// Label and absolute target of every link in an open submenu
+async function readMenuLinks(submenu, linkSelector) {
+  return submenu.locator(linkSelector).evaluateAll((links) =>
+    links.map((link) => ({
+      label: link.textContent,
+      rawHref: link.getAttribute("href"),
+      href: link.getAttribute("href") ? link.href : null,
+    }))
+  );
+}
+
+// Links of a menu that are unusable (no href) and configured links that
+// are missing or point somewhere else. Returns one message per problem.
+function checkMenuLinks(links, expected = [], origins = []) {
+  const problems = links
+    .filter((link) => !link.rawHref || !link.rawHref.trim())
+    .map((link) => `'${normalizeLabel(link.label)}' has no href`);
+
+  expected.forEach(({ label, href }) => {
+    const link = links.find(
+      (candidate) => normalizeLabel(candidate.label) === normalizeLabel(label)
+    );
+    if (!link) {
+      problems.push(`Expected link '${label}' is missing`);
+      return;
+    }
+    const target = link.href ? toMenuTarget(link.href, origins) : null;
+    if (href && target !== href) {
+      problems.push(`'${label}' points to ${target}, expected ${href}`);
+    }
+  });
+
+  return problems;
+}
+
+// Compare the links of the same menu on staging and prod by label: links
+// only one side has, links whose targets differ and a changed order
+function compareMenus(stagingLinks, prodLinks, origins = []) {
+  const toEntries = (links) =>
+    links.map((link) => ({
+      label: normalizeLabel(link.label),
+      target: link.href ? toMenuTarget(link.href, origins) : null,
+    }));
+  const staging = toEntries(stagingLinks);
+  const prod = toEntries(prodLinks);
+  const prodByLabel = new Map(prod.map((entry) => [entry.label, entry]));
+  const stagingLabels = new Set(staging.map((entry) => entry.label));
+  const differences = [];
+
+  prod
+    .filter((entry) => !stagingLabels.has(entry.label))
+    .forEach((entry) => {
+      differences.push(`'${entry.label}' is missing on staging`);
+    });
+  staging.forEach((entry) => {
+    const prodEntry = prodByLabel.get(entry.label);
+    if (!prodEntry) {
+      differences.push(`'${entry.label}' is only on staging`);
+    } else if (prodEntry.target !== entry.target) {
+      differences.push(
+        `'${entry.label}' points to ${entry.target} on staging but ${prodEntry.target} on prod`
+      );
+    }
+  });
+
+  // Order is compared over the labels both sides have
+  const sharedOrder = (entries) =>
+    entries
+      .map((entry) => entry.label)
+      .filter((label) => stagingLabels.has(label) && prodByLabel.has(label))
+      .join("\n");
+  if (sharedOrder(staging) !== sharedOrder(prod)) {
+    differences.push("Links are in a different order than on prod");
+  }
+
+  return differences;
+}
+
+module.exports = {
+  DEFAULT_MENUS,
+  normalizeLabel,
+  readMenuLinks,
+  checkMenuLinks,
+  compareMenus,
+};
@@ -0,0 +1,104 @@
+// Start recording what goes wrong while a page loads: requests that fail
+// outright, responses with a 4xx/5xx status, console errors and uncaught
+// exceptions. Call `stop()` after the capture to detach the listeners (the
+// page is reused for the next URL) and get the recorded errors.
+function recordPageErrors(page) {
+  const errors = {
+    failedRequests: [],
+    httpErrors: [],
+    consoleErrors: [],
+    pageErrors: [],
+  };
+
+  const onRequestFailed = (request) => {
+    errors.failedRequests.push({
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      failure: (request.failure() || {}).errorText || "Request failed",
+    });
+  };
+  const onResponse = (response) => {
+    if (response.status() < 400) return;
+    errors.httpErrors.push({
+      url: response.url(),
+      status: response.status(),
+      resourceType: response.request().resourceType(),
+    });
+  };
+  const onConsole = (message) => {
+    if (message.type() !== "error") return;
+    const { url, lineNumber } = message.location();
+    errors.consoleErrors.push({
+      text: message.text(),
+      location: url ? `${url}:${lineNumber}` : null,
+    });
+  };
+  const onPageError = (error) => {
+    errors.pageErrors.push({ message: error.message });
+  };
+
+  page.on("requestfailed", onRequestFailed);
+  page.on("response", onResponse);
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+
+  return {
+    stop() {
+      page.off("requestfailed", onRequestFailed);
+      page.off("response", onResponse);
+      page.off("console", onConsole);
+      page.off("pageerror", onPageError);
+      return errors;
+    },
+  };
+}
+
+// Total number of recorded errors
+function countPageErrors(errors) {
+  return errors
+    ? Object.values(errors).reduce((total, list) => total + list.length, 0)
+    : 0;
+}
+
+// One comparable line per error. The site's own origins are stripped so the
+// same broken asset or script error matches on staging and prod.
+function toSignatures(errors, origins) {
+  const strip = (text) =>
+    origins.reduce((value, origin) => value.split(origin).join(""), text);
+  return [
+    ...errors.failedRequests.map(
+      (entry) =>
+        `Request failed: ${entry.method} ${strip(entry.url)} (${entry.failure})`
+    ),
+    ...errors.httpErrors.map(
+      (entry) =>
+        `HTTP ${entry.status}: ${strip(entry.url)} (${entry.resourceType})`
+    ),
+    ...errors.consoleErrors.map(
+      (entry) => `Console error: ${strip(entry.text)}`
+    ),
+    ...errors.pageErrors.map((entry) => `Uncaught: ${strip(entry.message)}`),
+  ];
+}
+
+// Compare the errors of two captures of the same page. `added` are errors
+// only `actualErrors` (the page under test) has, i.e. regressions;
+// `resolved` are errors only `expectedErrors` has. Origins listed in
+// `origins` are ignored when matching URLs and messages.
+function comparePageErrors(expectedErrors, actualErrors, { origins = [] }) {
+  const expected = new Set(toSignatures(expectedErrors, origins));
+  const actual = new Set(toSignatures(actualErrors, origins));
+  return {
+    added: [...actual].filter((signature) => !expected.has(signature)),
+    resolved: [...expected].filter((signature) => !actual.has(signature)),
+    expectedCount: countPageErrors(expectedErrors),
+    actualCount: countPageErrors(actualErrors),
+  };
+}
+
+module.exports = {
+  recordPageErrors,
+  countPageErrors,
+  comparePageErrors,
+};
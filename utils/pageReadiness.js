@@ -0,0 +1,129 @@
+const { matchesPattern } = require("./masking.js");
+
+// Used for anything config.js "capture" does not set
+const DEFAULT_READINESS = {
+  networkIdleTimeout: 10000, // Longest wait for network idle, in ms
+  fontTimeout: 5000, // Longest wait for web fonts, in ms
+  imageTimeout: 10000, // Longest wait for images to load and decode, in ms
+  scrollStepDelay: 100, // Pause between auto-scroll steps, in ms
+  scrollTimeout: 30000, // Longest auto-scroll (infinite scroll pages), in ms
+  waitForSelector: null, // Element that must be visible before capturing
+  selectorTimeout: 15000, // Longest wait for waitForSelector, in ms
+};
+
+// Stylesheet that freezes animations, transitions and the text caret
+const DISABLE_ANIMATIONS_CSS = `
+  *, *::before, *::after {
+    animation-duration: 0s !important;
+    animation-delay: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition: none !important;
+    caret-color: transparent !important;
+  }
+  html { scroll-behavior: auto !important; }
+`;
+
+// Readiness options for a page: config.js "capture" values plus the custom
+// wait selector of the first "waitForSelectors" pattern matching pagePath
+function getReadinessOptions(captureConfig = {}, pagePath) {
+  const { waitForSelectors = {}, ...options } = captureConfig;
+  const match = Object.entries(waitForSelectors).find(([pattern]) =>
+    matchesPattern(pagePath, pattern)
+  );
+  return {
+    ...DEFAULT_READINESS,
+    ...options,
+    waitForSelector: match ? match[1] : null,
+  };
+}
+
+// Run a promise but give up quietly after `timeout` ms
+function withTimeout(promise, timeout) {
+  return Promise.race([
+    promise,
+    new Promise((resolve) => setTimeout(resolve, timeout)),
+  ]);
+}
+
+// Scroll through the whole page one viewport at a time so lazy-loaded
+// images and sections are requested, then return to the top. The page
+// height is re-read as content loads, so the scroll stops after `timeout`
+// ms on pages that keep growing (infinite scroll).
+async function autoScroll(page, stepDelay, timeout) {
+  await page.evaluate(
+    async ({ delay, budget }) => {
+      const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const deadline = Date.now() + budget;
+      const step = Math.max(window.innerHeight, 200);
+      for (
+        let y = 0;
+        y < document.documentElement.scrollHeight && Date.now() < deadline;
+        y += step
+      ) {
+        window.scrollTo(0, y);
+        await sleep(delay);
+      }
+      window.scrollTo(0, 0);
+    },
+    { delay: stepDelay, budget: timeout }
+  );
+}
+
+// Wait until every image on the page has loaded and decoded. Lazy images
+// are switched to eager so ones never scrolled into view still load.
+async function waitForImages(page, timeout) {
+  await page.evaluate(async (limit) => {
+    const images = Array.from(document.images);
+    images.forEach((image) => {
+      if (image.loading === "lazy") image.loading = "eager";
+    });
+    const settle = (image) =>
+      image.complete
+        ? image.decode().catch(() => {})
+        : new Promise((resolve) => {
+            image.addEventListener("load", resolve, { once: true });
+            image.addEventListener("error", resolve, { once: true });
+          }).then(() => image.decode().catch(() => {}));
+    await Promise.race([
+      Promise.all(images.map(settle)),
+      new Promise((resolve) => setTimeout(resolve, limit)),
+    ]);
+  }, timeout);
+}
+
+// Bring a freshly navigated page to a stable state for a screenshot:
+// network idle (capped), animations disabled, lazy content triggered by
+// scrolling, web fonts ready, images decoded and, if configured, a custom
+// selector visible. Only a missing custom selector throws; every other
+// step gives up at its cap so slow pages are still captured.
+async function waitForPageReady(page, options = DEFAULT_READINESS) {
+  await page
+    .waitForLoadState("networkidle", { timeout: options.networkIdleTimeout })
+    .catch(() => {});
+
+  await page.addStyleTag({ content: DISABLE_ANIMATIONS_CSS });
+  await withTimeout(
+    autoScroll(page, options.scrollStepDelay, options.scrollTimeout),
+    options.scrollTimeout + options.scrollStepDelay
+  );
+
+  await withTimeout(
+    page.evaluate(() => document.fonts.ready.then(() => true)),
+    options.fontTimeout
+  );
+  await waitForImages(page, options.imageTimeout);
+
+  if (options.waitForSelector) {
+    await page.waitForSelector(options.waitForSelector, {
+      state: "visible",
+      timeout: options.selectorTimeout,
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_READINESS,
+  getReadinessOptions,
+  waitForImages,
+  waitForPageReady,
+};
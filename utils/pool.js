@@ -0,0 +1,20 @@
+// Run `worker` over every item with at most `concurrency` calls in flight.
+// Each call also receives its lane number (0 to concurrency - 1) so workers
+// can reuse one browser page per lane. Results keep the order of `items`.
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const laneCount = Math.max(1, Math.min(concurrency, items.length));
+  let next = 0;
+
+  const lanes = Array.from({ length: laneCount }, async (_, lane) => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], lane, index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = { runPool };
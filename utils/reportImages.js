@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { runPool } = require("./pool.js");
+
+// Used for anything config.js "report" does not set
+const DEFAULT_REPORT = {
+  images: "inline", // "inline" (Base64, one self-contained file) or "linked"
+  thumbnailDir: "thumbnails", // Linked mode only
+  thumbnailWidth: 350, // In px
+  thumbnailQuality: 70, // JPEG quality
+  concurrency: 4, // Thumbnails created at once
+};
+
+const IMAGE_MODES = ["inline", "linked"];
+
+// config.js "report" settings; REPORT_IMAGES overrides the image mode
+function getReportSettings(config) {
+  const settings = { ...DEFAULT_REPORT, ...config.report };
+  if (process.env.REPORT_IMAGES) settings.images = process.env.REPORT_IMAGES;
+  if (!IMAGE_MODES.includes(settings.images)) {
+    throw new Error(
+      `Unknown report image mode "${
+        settings.images
+      }" (expected ${IMAGE_MODES.join(" or ")})`
+    );
+  }
+  return settings;
+}
+
+// Path usable in an HTML attribute of a report in the working directory
+function toReportUrl(filePath) {
+  return filePath.split(path.sep).map(encodeURIComponent).join("/");
+}
+
+// Thumbnail location of an image, mirroring its path under thumbnailDir
+function getThumbnailPath(imagePath, settings) {
+  const relative = path.isAbsolute(imagePath)
+    ? imagePath.replace(/^([a-z]:)?[\\/]+/i, "")
+    : imagePath;
+  return path.join(
+    settings.thumbnailDir,
+    relative.replace(/\.[^.\\/]+$/, "") + ".jpg"
+  );
+}
+
+// Write a JPEG thumbnail of an image unless an up-to-date one exists
+async function createThumbnail(imagePath, settings) {
+  const thumbnailPath = getThumbnailPath(imagePath, settings);
+  if (
+    fs.existsSync(thumbnailPath) &&
+    fs.statSync(thumbnailPath).mtimeMs >= fs.statSync(imagePath).mtimeMs
+  ) {
+    return thumbnailPath;
+  }
+  fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+  await sharp(imagePath)
+    .resize({ width: settings.thumbnailWidth, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: settings.thumbnailQuality })
+    .toFile(thumbnailPath);
+  return thumbnailPath;
+}
+
+// Set `thumbnail` on every existing image of the results, for linked
+// reports. Images that cannot be read keep no thumbnail and are shown at
+// full size instead.
+async function addThumbnails(results, settings) {
+  const images = results
+    .flatMap((result) => result.images || [])
+    .filter((image) => image.path && fs.existsSync(image.path));
+  await runPool(images, settings.concurrency, async (image) => {
+    try {
+      image.thumbnail = await createThumbnail(image.path, settings);
+    } catch (error) {
+      image.thumbnail = null;
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_REPORT,
+  getReportSettings,
+  toReportUrl,
+  getThumbnailPath,
+  addThumbnails,
+};
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const { getResultStatus } = require("./thresholds.js");
+
+// Escape text for XML attributes and content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Name of a result as shown in CI: the page path, plus the environment in
+// baseline mode where one page can produce a result per environment
+function getResultName(result) {
+  return result.environment
+    ? `${result.pagePath} (${result.environment})`
+    : result.pagePath;
+}
+
+// One line explaining why a result did not pass
+function getFailureMessage(result) {
+  if (result.error) return result.error;
+  if (typeof result.similarityPercentage !== "number") {
+    return "Comparison failed";
+  }
+  const similarity = `${result.similarityPercentage.toFixed(2)}%`;
+  if (
+    result.thresholds &&
+    result.similarityPercentage >= result.thresholds.similarity &&
+    result.thresholds.maxRegionArea
+  ) {
+    return `Similarity ${similarity}, but a changed region exceeds ${result.thresholds.maxRegionArea.toLocaleString()} px²`;
+  }
+  const required = result.thresholds
+    ? ` (required ${result.thresholds.similarity}%)`
+    : "";
+  return `Similarity ${similarity}${required}`;
+}
+
+// Pass/fail/error counts of a result list
+function summarizeResults(results) {
+  const statuses = results.map(getResultStatus);
+  return {
+    total: results.length,
+    passed: statuses.filter((status) => status === "Pass").length,
+    failed: statuses.filter((status) => status === "Fail").length,
+    errors: statuses.filter((status) => status === "Error").length,
+  };
+}
+
+// Write the machine-readable results of a device run as JSON
+function writeJsonResults(results, outputPath, metadata = {}) {
+  const payload = {
+    ...metadata,
+    generatedAt: new Date().toISOString(),
+    summary: summarizeResults(results),
+    results: results.map((result) => ({
+      pagePath: result.pagePath,
+      environment: result.environment,
+      status: getResultStatus(result),
+      similarityPercentage: result.similarityPercentage,
+      thresholds: result.thresholds,
+      heightDifference: result.heightDifference,
+      findings: result.findings || [],
+      regions: result.regions || [],
+      domChanges: result.domChanges || [],
+      errorChanges: result.errorChanges || null,
+      accessibility: result.accessibility || null,
+      metadata: result.metadata || null,
+      decision: result.decision || null,
+      error: result.error,
+      images: (result.images || []).filter((image) => image.path),
+    })),
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(payload, null, 2));
+  return payload;
+}
+
+// Write the results of a device run as a JUnit XML test suite, one test
+// case per page, so CI systems can gate deploys on it
+function writeJUnitResults(results, outputPath, suiteName) {
+  const summary = summarizeResults(results);
+  const testCases = results
+    .map((result) => {
+      const status = getResultStatus(result);
+      const name = escapeXml(getResultName(result));
+      const details = escapeXml((result.findings || []).join("\n"));
+      let body = "";
+      if (status === "Fail") {
+        body = `
+      <failure message="${escapeXml(
+        getFailureMessage(result)
+      )}">${details}</failure>`;
+      } else if (status === "Error") {
+        body = `
+      <error message="${escapeXml(
+        getFailureMessage(result)
+      )}">${details}</error>`;
+      }
+      return `
+    <testcase classname="${escapeXml(suiteName)}" name="${name}">${body}${
+      body ? "\n    " : ""
+    }</testcase>`;
+    })
+    .join("");
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${summary.total}" failures="${summary.failed}" errors="${
+    summary.errors
+  }">
+  <testsuite name="${escapeXml(suiteName)}" tests="${
+    summary.total
+  }" failures="${summary.failed}" errors="${
+    summary.errors
+  }" timestamp="${new Date().toISOString()}">${testCases}
+  </testsuite>
+</testsuites>
+`;
+  fs.writeFileSync(outputPath, xml);
+}
+
+module.exports = {
+  escapeXml,
+  getResultName,
+  getFailureMessage,
+  summarizeResults,
+  writeJsonResults,
+  writeJUnitResults,
+};
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+
+// Used for anything config.js "history" does not set
+const DEFAULT_HISTORY = {
+  enabled: true,
+  dir: "history", // One sub-directory per run
+  keepRuns: 20, // Older runs are deleted; 0 keeps everything
+  copyImages: true, // Store the screenshots and diffs with each run
+  flakyWindow: 10, // Runs looked at when spotting flaky pages
+  flakyFlips: 2, // Status changes within the window that make a page flaky
+};
+
+// Sortable, file-system safe run ID, e.g. "2026-10-19T08-30-05Z"
+function createRunId(date = new Date()) {
+  return date
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/:/g, "-");
+}
+
+// Store the results of one device in the run directory: the results JSON
+// and, if enabled, every image it references, kept at the same relative
+// path so the stored JSON still points at them. Then drop the oldest runs.
+function archiveRun(settings, { runId, resultsPath }) {
+  const runDir = path.join(settings.dir, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+  fs.copyFileSync(resultsPath, path.join(runDir, path.basename(resultsPath)));
+
+  if (settings.copyImages) {
+    const payload = JSON.parse(fs.readFileSync(resultsPath, "utf-8"));
+    payload.results.forEach((result) => {
+      (result.images || []).forEach((image) => {
+        if (path.isAbsolute(image.path) || !fs.existsSync(image.path)) return;
+        const target = path.join(runDir, image.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(image.path, target);
+      });
+    });
+  }
+
+  pruneRuns(settings);
+  return runDir;
+}
+
+// IDs of the stored runs, oldest first
+function listRunIds(settings) {
+  if (!fs.existsSync(settings.dir)) return [];
+  return fs
+    .readdirSync(settings.dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// Delete all but the newest `keepRuns` runs
+function pruneRuns(settings) {
+  if (!settings.keepRuns) return;
+  const runIds = listRunIds(settings);
+  runIds
+    .slice(0, Math.max(runIds.length - settings.keepRuns, 0))
+    .forEach((runId) => {
+      fs.rmSync(path.join(settings.dir, runId), {
+        recursive: true,
+        force: true,
+      });
+    });
+}
+
+// Key identifying a page across runs
+function getPageKey(device, result) {
+  return `${device} ${result.pagePath}${
+    result.environment ? ` (${result.environment})` : ""
+  }`;
+}
+
+// Every stored run with its per-device summaries and a flat page map:
+// { runId, devices: { Desktop: summary }, pages: { key: page } }
+function loadRuns(settings) {
+  return listRunIds(settings).map((runId) => {
+    const runDir = path.join(settings.dir, runId);
+    const run = { runId, devices: {}, pages: {} };
+    fs.readdirSync(runDir)
+      .filter((file) => /^visual_comparison_results_.+\.json$/.test(file))
+      .forEach((file) => {
+        const payload = JSON.parse(
+          fs.readFileSync(path.join(runDir, file), "utf-8")
+        );
+        const device =
+          payload.device ||
+          file.replace(/^visual_comparison_results_|\.json$/g, "");
+        run.devices[device] = payload.summary;
+        payload.results.forEach((result) => {
+          run.pages[getPageKey(device, result)] = {
+            device,
+            pagePath: result.pagePath,
+            environment: result.environment,
+            status: result.status,
+            similarity:
+              typeof result.similarityPercentage === "number"
+                ? result.similarityPercentage
+                : null,
+            images: (result.images || []).map((image) => ({
+              label: image.label,
+              path: path.isAbsolute(image.path)
+                ? image.path
+                : path.join(runId, image.path).split(path.sep).join("/"),
+            })),
+          };
+        });
+      });
+    return run;
+  });
+}
+
+// Per-page changes between two runs: pages whose status or similarity
+// changed, plus pages only one of the runs has
+function diffRuns(fromRun, toRun) {
+  const keys = [
+    ...new Set([...Object.keys(fromRun.pages), ...Object.keys(toRun.pages)]),
+  ].sort();
+  return keys
+    .map((key) => ({
+      key,
+      from: fromRun.pages[key] || null,
+      to: toRun.pages[key] || null,
+    }))
+    .filter(
+      ({ from, to }) =>
+        !from ||
+        !to ||
+        from.status !== to.status ||
+        from.similarity !== to.similarity
+    );
+}
+
+// Trends over the stored runs: the similarity series of every page,
+// pages that fail in the latest run but passed in the one before, and
+// pages whose status keeps flipping within the flaky window
+function buildTrends(runs, settings = DEFAULT_HISTORY) {
+  const series = {};
+  runs.forEach((run) => {
+    Object.entries(run.pages).forEach(([key, page]) => {
+      if (!series[key]) series[key] = [];
+      series[key].push({
+        runId: run.runId,
+        status: page.status,
+        similarity: page.similarity,
+      });
+    });
+  });
+
+  const latest = runs[runs.length - 1];
+  const previous = runs[runs.length - 2];
+  const newlyFailing =
+    latest && previous
+      ? Object.keys(latest.pages).filter(
+          (key) =>
+            latest.pages[key].status !== "Pass" &&
+            previous.pages[key] &&
+            previous.pages[key].status === "Pass"
+        )
+      : [];
+
+  const windowRunIds = new Set(
+    runs.slice(-settings.flakyWindow).map((run) => run.runId)
+  );
+  const flaky = Object.entries(series)
+    .map(([key, points]) => {
+      const statuses = points
+        .filter((point) => windowRunIds.has(point.runId))
+        .map((point) => point.status);
+      const flips = statuses.filter(
+        (status, i) => i > 0 && status !== statuses[i - 1]
+      ).length;
+      return { key, flips };
+    })
+    .filter(({ flips }) => flips >= settings.flakyFlips)
+    .sort((a, b) => b.flips - a.flips);
+
+  return { series, newlyFailing, flaky };
+}
+
+module.exports = {
+  DEFAULT_HISTORY,
+  createRunId,
+  archiveRun,
+  listRunIds,
+  loadRuns,
+  diffRuns,
+  buildTrends,
+};
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+
+// Results file and HTML report written by the visual test for a device
+function getDeviceOutputPaths(deviceName, dir = ".") {
+  return {
+    results: path.join(dir, `visual_comparison_results_${deviceName}.json`),
+    report: path.join(dir, `visual_comparison_report_${deviceName}.html`),
+  };
+}
+
+// Summary of the last run across devices, read from the results JSON files
+// of the visual test. Devices without a results file, or with one written
+// before `since`, are listed as missing. `failures` lists every page that
+// did not pass, lowest score first, with its diff image when there is one;
+// `worst` is the first `worstCount` of them.
+function collectRunSummary(
+  deviceNames,
+  { dir = ".", worstCount = 5, since = null } = {}
+) {
+  const devices = [];
+  const missing = [];
+  const notPassed = [];
+
+  deviceNames.forEach((deviceName) => {
+    const paths = getDeviceOutputPaths(deviceName, dir);
+    if (!fs.existsSync(paths.results)) {
+      missing.push(deviceName);
+      return;
+    }
+    const payload = JSON.parse(fs.readFileSync(paths.results, "utf-8"));
+    if (since && new Date(payload.generatedAt) < since) {
+      missing.push(deviceName);
+      return;
+    }
+    devices.push({
+      device: deviceName,
+      mode: payload.mode,
+      generatedAt: payload.generatedAt,
+      summary: payload.summary,
+      reportPath: fs.existsSync(paths.report) ? paths.report : null,
+    });
+    payload.results
+      .filter((result) => result.status !== "Pass")
+      .forEach((result) => {
+        const diff = (result.images || []).find(
+          (image) => image.label === "Diff" && fs.existsSync(image.path)
+        );
+        notPassed.push({
+          device: deviceName,
+          pagePath: result.pagePath,
+          environment: result.environment,
+          status: result.status,
+          similarityPercentage: result.similarityPercentage,
+          error: result.error,
+          diffPath: diff ? diff.path : null,
+        });
+      });
+  });
+
+  const totals = devices.reduce(
+    (sum, { summary }) => ({
+      total: sum.total + summary.total,
+      passed: sum.passed + summary.passed,
+      failed: sum.failed + summary.failed,
+      errors: sum.errors + summary.errors,
+    }),
+    { total: 0, passed: 0, failed: 0, errors: 0 }
+  );
+
+  // Errors first (no score), then the lowest similarity
+  const score = (result) =>
+    typeof result.similarityPercentage === "number"
+      ? result.similarityPercentage
+      : -1;
+  notPassed.sort((a, b) => score(a) - score(b));
+  const worst = notPassed.slice(0, worstCount);
+
+  return { devices, missing, totals, worst, failures: notPassed };
+}
+
+module.exports = {
+  getDeviceOutputPaths,
+  collectRunSummary,
+};
@@ -0,0 +1,142 @@
+// Used for anything config.js "seo" does not set
+const DEFAULT_SEO = {
+  canonicalHosts: [], // Hosts canonical URLs may point at; empty for any
+  flagNoindex: true, // Flag pages that tell search engines not to index
+};
+
+// SEO-relevant metadata of the current page: title, description,
+// canonical, robots directives (meta tags and the X-Robots-Tag header of
+// `response`), Open Graph tags, hreflang alternates and JSON-LD
+async function extractMetadata(page, response = null) {
+  const metadata = await page.evaluate(() => {
+    const content = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.getAttribute("content") : null;
+    };
+    const href = (element) =>
+      element && element.getAttribute("href") ? element.href : null;
+
+    const openGraph = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach((element) => {
+      openGraph[element.getAttribute("property")] =
+        element.getAttribute("content");
+    });
+
+    const jsonLd = Array.from(
+      document.querySelectorAll('script[type="application/ld+json"]')
+    ).map((element) => {
+      try {
+        return JSON.parse(element.textContent);
+      } catch (error) {
+        return { invalid: element.textContent.trim().slice(0, 200) };
+      }
+    });
+
+    return {
+      title: document.title.trim() || null,
+      description: content('meta[name="description" i]'),
+      canonical: href(document.querySelector('link[rel="canonical" i]')),
+      robots: content('meta[name="robots" i]'),
+      googlebot: content('meta[name="googlebot" i]'),
+      openGraph,
+      hreflang: Array.from(
+        document.querySelectorAll('link[rel="alternate" i][hreflang]')
+      )
+        .map(
+          (element) => `${element.getAttribute("hreflang")} ${href(element)}`
+        )
+        .sort(),
+      jsonLd,
+    };
+  });
+
+  metadata.xRobotsTag = response
+    ? (await response.allHeaders())["x-robots-tag"] || null
+    : null;
+  return metadata;
+}
+
+// Types of the JSON-LD blocks, including those nested in an @graph, so a
+// missing or added block shows up even though its content differs per host
+function getJsonLdTypes(jsonLd) {
+  const types = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    if (node.invalid !== undefined) types.push("(invalid JSON-LD)");
+    if (node["@type"]) types.push([].concat(node["@type"]).join("/"));
+    if (node["@graph"]) visit(node["@graph"]);
+  };
+  visit(jsonLd);
+  return types.sort();
+}
+
+// Flat list of comparable fields. Site origins are stripped from URLs so
+// the same page on staging and prod compares equal.
+function toFields(metadata, origins) {
+  const strip = (value) =>
+    typeof value === "string"
+      ? origins.reduce((text, origin) => text.split(origin).join(""), value)
+      : value;
+  const fields = {
+    Title: metadata.title,
+    "Meta description": metadata.description,
+    Canonical: strip(metadata.canonical),
+    "Meta robots": metadata.robots,
+    "Meta googlebot": metadata.googlebot,
+    "X-Robots-Tag": metadata.xRobotsTag,
+    Hreflang: metadata.hreflang.map(strip).join(", ") || null,
+    "JSON-LD types": getJsonLdTypes(metadata.jsonLd).join(", ") || null,
+  };
+  Object.entries(metadata.openGraph).forEach(([property, value]) => {
+    fields[property] = strip(value);
+  });
+  return fields;
+}
+
+// Field-by-field differences between the metadata of two captures of the
+// same page, as { field, expected, actual } with `actual` the page under
+// test. Fields missing on one side are reported with a null value.
+function compareMetadata(expected, actual, { origins = [] } = {}) {
+  const expectedFields = toFields(expected, origins);
+  const actualFields = toFields(actual, origins);
+  const names = [
+    ...new Set([...Object.keys(expectedFields), ...Object.keys(actualFields)]),
+  ];
+  return names
+    .filter(
+      (name) => (expectedFields[name] || null) !== (actualFields[name] || null)
+    )
+    .map((name) => ({
+      field: name,
+      expected: expectedFields[name] || null,
+      actual: actualFields[name] || null,
+    }));
+}
+
+// Problems of a page that must not reach production: a noindex directive
+// and a canonical URL on a host other than the allowed ones
+function checkMetadata(metadata, settings = DEFAULT_SEO) {
+  const problems = [];
+  const directives = [metadata.robots, metadata.googlebot, metadata.xRobotsTag]
+    .filter(Boolean)
+    .join(",");
+  if (settings.flagNoindex && /noindex/i.test(directives)) {
+    problems.push(`Page is noindex (${directives})`);
+  }
+  if (metadata.canonical && settings.canonicalHosts.length) {
+    const host = new URL(metadata.canonical).host;
+    if (!settings.canonicalHosts.includes(host)) {
+      problems.push(`Canonical points at ${host}: ${metadata.canonical}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_SEO,
+  extractMetadata,
+  getJsonLdTypes,
+  compareMetadata,
+  checkMetadata,
+};
@@ -0,0 +1,66 @@
+const { matchesPattern } = require("./masking.js");
+
+// Used when config.js has no "thresholds" section
+const DEFAULT_THRESHOLDS = {
+  similarity: 95, // Minimum similarity percentage for a pass
+  pixelmatch: 0.1, // pixelmatch colour sensitivity (0 to 1, smaller is stricter)
+  includeAA: false, // Count anti-aliased pixels as differences
+  maxRegionArea: null, // Largest allowed changed region in CSS px², null = no limit
+};
+
+// Effective thresholds for one page on one device. Global values are
+// overridden by the device entry, then by every matching URL pattern in
+// config order, so the most specific rule listed last wins.
+function getThresholds(thresholdConfig = {}, deviceName, pagePath) {
+  const { devices = {}, pages = {}, ...globals } = thresholdConfig;
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    ...globals,
+    ...(devices[deviceName] || {}),
+  };
+
+  Object.entries(pages).forEach(([pattern, overrides]) => {
+    if (matchesPattern(pagePath, pattern)) Object.assign(thresholds, overrides);
+  });
+
+  return thresholds;
+}
+
+// Pass, Fail or Error for a comparison result, judged by its own thresholds.
+// Differences a reviewer accepted (utils/decisions.js) pass.
+function getResultStatus(result) {
+  if (typeof result.similarityPercentage !== "number") return "Error";
+  if (result.accepted) return "Pass";
+
+  const { similarity, maxRegionArea } = result.thresholds || DEFAULT_THRESHOLDS;
+  if (result.similarityPercentage < similarity) return "Fail";
+  if (
+    maxRegionArea &&
+    (result.regions || []).some(
+      (region) => region.page.width * region.page.height > maxRegionArea
+    )
+  ) {
+    return "Fail";
+  }
+  return "Pass";
+}
+
+// Short description of the thresholds applied to a report row
+function formatThresholds(thresholds) {
+  const parts = [
+    `≥ ${thresholds.similarity}%`,
+    `sensitivity ${thresholds.pixelmatch}`,
+  ];
+  if (thresholds.includeAA) parts.push("anti-aliasing counted");
+  if (thresholds.maxRegionArea) {
+    parts.push(`max region ${thresholds.maxRegionArea.toLocaleString()} px²`);
+  }
+  return parts.join(", ");
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  getResultStatus,
+  formatThresholds,
+};
@@ -0,0 +1,94 @@
+// Base URL without trailing slashes, e.g. "https://online.emporia.edu"
+function normalizeBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/+$/, "");
+}
+
+// Join a base URL and a page path with exactly one slash between them,
+// keeping any query string (e.g. "/apply/?d=EMPORIA-M-MBA") untouched
+function joinUrl(baseUrl, pagePath) {
+  const suffix = pagePath.startsWith("/") ? pagePath : `/${pagePath}`;
+  return `${normalizeBaseUrl(baseUrl)}${suffix}`;
+}
+
+// Turn a config.js URL entry into a site-relative path. Absolute entries on
+// one of the `knownHosts` become their path and query string; absolute
+// entries on any other host return null since they cannot be compared.
+function toPagePath(entry, knownHosts) {
+  const value = entry.trim();
+  if (/^(https?:)?\/\//i.test(value)) {
+    const url = new URL(value, "https://placeholder.invalid");
+    if (!knownHosts.includes(url.host)) return null;
+    return `${url.pathname}${url.search}`;
+  }
+  const pagePath = value.startsWith("/") ? value : `/${value}`;
+  const [pathname, ...query] = pagePath.split("?");
+  return [pathname.replace(/\/{2,}/g, "/"), ...query].join("?");
+}
+
+// Pair the staging and prod URL lists of config.js. Entries are normalized
+// to paths; "urlMappings" maps a staging path to a differently named prod
+// path (e.g. a legacy .aspx page). Returns the comparable pairs, the pages
+// listed for only one environment, entries on unknown hosts and the full
+// list of staging URLs.
+function buildUrlMap(config) {
+  const stagingBase = normalizeBaseUrl(config.staging.baseUrl);
+  const prodBase = normalizeBaseUrl(config.prod.baseUrl);
+  const knownHosts = [new URL(stagingBase).host, new URL(prodBase).host];
+  const mappings = config.urlMappings || {};
+  const skipped = [];
+
+  const toPaths = (entries, environment) => {
+    const paths = [];
+    entries.forEach((entry) => {
+      const pagePath = toPagePath(entry, knownHosts);
+      if (pagePath === null) {
+        skipped.push({ environment, entry, reason: "Unknown host" });
+      } else if (!paths.includes(pagePath)) {
+        paths.push(pagePath);
+      }
+    });
+    return paths;
+  };
+
+  const stagingPaths = toPaths(config.staging.urls, "staging");
+  const prodPaths = toPaths(config.prod.urls, "prod");
+  const prodPathSet = new Set(prodPaths);
+  const matchedProdPaths = new Set();
+  const pairs = [];
+  const stagingOnly = [];
+
+  stagingPaths.forEach((pagePath) => {
+    const prodPath = mappings[pagePath] || pagePath;
+    // An explicit mapping is trusted even when prod.urls does not list it
+    if (!prodPathSet.has(prodPath) && !mappings[pagePath]) {
+      stagingOnly.push(pagePath);
+      return;
+    }
+    matchedProdPaths.add(prodPath);
+    pairs.push({
+      pagePath,
+      prodPath,
+      stagingUrl: joinUrl(stagingBase, pagePath),
+      prodUrl: joinUrl(prodBase, prodPath),
+    });
+  });
+
+  const prodOnly = prodPaths.filter(
+    (prodPath) => !matchedProdPaths.has(prodPath)
+  );
+
+  return {
+    pairs,
+    stagingOnly,
+    prodOnly,
+    skipped,
+    stagingUrls: stagingPaths.map((pagePath) => joinUrl(stagingBase, pagePath)),
+  };
+}
+
+module.exports = {
+  normalizeBaseUrl,
+  joinUrl,
+  toPagePath,
+  buildUrlMap,
+};
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+const { fetchWithRetry } = require("./httpPolicy.js");
+
+// Used for anything config.js "webhooks" does not set
+const DEFAULT_WEBHOOKS = {
+  enabled: false,
+  onlyOnFailure: true, // Skip the notification when every page passed
+  endpoints: [], // { name, url, template: "slack" | "teams" | "json", headers }
+  reportBaseUrl: null, // Where the reports are published, for links
+  maxRegressions: 10, // Failing pages listed in a message
+  dryRun: false, // Write payloads to dryRunDir instead of posting them
+  dryRunDir: "notifications",
+  timeout: 10000, // Per attempt, in ms
+  retry: {
+    retries: 3,
+    retryDelay: 1000,
+    retryStatuses: [429, 500, 502, 503, 504],
+  },
+};
+
+// Link (or local path) of a report file
+function getReportLink(reportPath, settings) {
+  if (!settings.reportBaseUrl) return reportPath;
+  return `${settings.reportBaseUrl.replace(/\/+$/, "")}/${path.basename(
+    reportPath
+  )}`;
+}
+
+// One line per failing page, e.g. "Desktop /about/ (Fail, 91.20%)"
+function formatRegression(page) {
+  const score =
+    typeof page.similarityPercentage === "number"
+      ? `${page.similarityPercentage.toFixed(2)}%`
+      : page.error || "Error";
+  return `${page.device} ${page.pagePath}${
+    page.environment ? ` [${page.environment}]` : ""
+  } (${page.status}, ${score})`;
+}
+
+// Template-independent content of a notification
+function getMessageContent(runSummary, settings) {
+  const { total, passed, failed, errors } = runSummary.totals;
+  const failedRun = failed + errors > 0;
+  return {
+    failedRun,
+    title: `Visual comparison ${failedRun ? "FAILED" : "passed"}`,
+    summary: `${passed}/${total} pages passed, ${failed} failed, ${errors} errors`,
+    regressions: runSummary.failures
+      .slice(0, settings.maxRegressions)
+      .map(formatRegression),
+    moreRegressions: Math.max(
+      runSummary.failures.length - settings.maxRegressions,
+      0
+    ),
+    reports: runSummary.devices
+      .filter((device) => device.reportPath)
+      .map((device) => ({
+        device: device.device,
+        url: getReportLink(device.reportPath, settings),
+      })),
+  };
+}
+
+// Payload builders per template
+const TEMPLATES = {
+  // Slack incoming webhook with Block Kit blocks
+  slack: (content) => {
+    const regressionText = content.regressions.length
+      ? content.regressions.map((line) => `• ${line}`).join("\n") +
+        (content.moreRegressions
+          ? `\n…and ${content.moreRegressions} more`
+          : "")
+      : "No regressions";
+    return {
+      text: `${content.title}: ${content.summary}`,
+      blocks: [
+        {
+          type: "header",
+          text: { type: "plain_text", text: content.title },
+        },
+        { type: "section", text: { type: "mrkdwn", text: content.summary } },
+        {
+          type: "section",
+          text: { type: "mrkdwn", text: `*Regressions*\n${regressionText}` },
+        },
+        ...(content.reports.length
+          ? [
+              {
+                type: "context",
+                elements: content.reports.map((report) => ({
+                  type: "mrkdwn",
+                  text: /^https?:/.test(report.url)
+                    ? `<${report.url}|${report.device} report>`
+                    : `${report.device} report: ${report.url}`,
+                })),
+              },
+            ]
+          : []),
+      ],
+    };
+  },
+
+  // Microsoft Teams incoming webhook (MessageCard)
+  teams: (content) => ({
+    "@type": "MessageCard",
+    "@context": "https://schema.org/extensions",
+    themeColor: content.failedRun ? "D70000" : "2EB67D",
+    summary: content.title,
+    title: content.title,
+    sections: [
+      { text: content.summary },
+      {
+        title: "Regressions",
+        text: content.regressions.length
+          ? content.regressions.join("<br>") +
+            (content.moreRegressions
+              ? `<br>…and ${content.moreRegressions} more`
+              : "")
+          : "No regressions",
+      },
+    ],
+    potentialAction: content.reports
+      .filter((report) => /^https?:/.test(report.url))
+      .map((report) => ({
+        "@type": "OpenUri",
+        name: `${report.device} report`,
+        targets: [{ os: "default", uri: report.url }],
+      })),
+  }),
+
+  // Plain JSON for custom receivers and incident tools
+  json: (content, runSummary) => ({
+    status: content.failedRun ? "failed" : "passed",
+    title: content.title,
+    summary: content.summary,
+    totals: runSummary.totals,
+    devices: runSummary.devices.map(({ device, summary }) => ({
+      device,
+      ...summary,
+    })),
+    missingDevices: runSummary.missing,
+    regressions: runSummary.failures.slice(0, content.regressions.length),
+    moreRegressions: content.moreRegressions,
+    reports: content.reports,
+  }),
+};
+
+// Payload for an endpoint, using its template
+function buildWebhookPayload(endpoint, runSummary, settings) {
+  const template = TEMPLATES[endpoint.template || "json"];
+  if (!template) {
+    throw new Error(
+      `Unknown webhook template "${endpoint.template}" for ${endpoint.name}`
+    );
+  }
+  return template(getMessageContent(runSummary, settings), runSummary);
+}
+
+// Whether a run summary warrants a notification under the given settings
+function shouldSendWebhooks(runSummary, settings) {
+  if (!settings.enabled || !settings.endpoints.length) return false;
+  if (!runSummary.devices.length) return false;
+  const { failed, errors } = runSummary.totals;
+  return !settings.onlyOnFailure || failed + errors > 0;
+}
+
+// Post the run summary to every endpoint, or in dry-run mode write each
+// payload to dryRunDir. `request` is a Playwright APIRequestContext; failed
+// posts are retried per settings.retry. Resolves with one outcome per
+// endpoint and never rejects, so one broken endpoint does not stop others.
+async function sendWebhooks(request, runSummary, settings) {
+  const outcomes = [];
+  for (const endpoint of settings.endpoints) {
+    const name = endpoint.name || endpoint.url;
+    try {
+      const payload = buildWebhookPayload(endpoint, runSummary, settings);
+
+      if (settings.dryRun) {
+        const outputPath = path.join(
+          settings.dryRunDir,
+          `webhook-${name.replace(/[^a-z0-9-]+/gi, "_")}.json`
+        );
+        fs.mkdirSync(settings.dryRunDir, { recursive: true });
+        fs.writeFileSync(
+          outputPath,
+          JSON.stringify({ url: endpoint.url, payload }, null, 2)
+        );
+        outcomes.push({ name, ok: true, dryRun: true, outputPath });
+        continue;
+      }
+
+      const response = await fetchWithRetry(
+        request,
+        endpoint.url,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...endpoint.headers },
+          data: JSON.stringify(payload),
+          timeout: settings.timeout,
+        },
+        settings.retry
+      );
+      outcomes.push({
+        name,
+        ok: response.ok(),
+        status: response.status(),
+        error: response.ok() ? null : `HTTP ${response.status()}`,
+      });
+    } catch (error) {
+      outcomes.push({
+        name,
+        ok: false,
+        status: null,
+        error: error.message.split("\n")[0],
+      });
+    }
+  }
+  return outcomes;
+}
+
+module.exports = {
+  DEFAULT_WEBHOOKS,
+  buildWebhookPayload,
+  shouldSendWebhooks,
+  sendWebhooks,
+};